@@ -0,0 +1,85 @@
+/**
+ * HBMusic - 上游适配器注册表
+ *
+ * 每个音源注册一个适配器，服务端只通过注册表调用，不再关心具体上游类型。
+ *
+ * 适配器结构：
+ * - type:           唯一类型名，对应 UPSTREAMS 中的 type 字段
+ * - label:          展示名称（状态页等）
+ * - idParams:       /fallback-stream、/fallback-lyric 中识别该音源的查询参数（如 ['rid']）
+ * - qualities:      支持的音质档位（见 quality.js），缺省表示上游不支持选择音质
+ * - search(upstream, keyword, signal, log, options)      → 搜索结果对象或 null（必需），options.quality 为期望音质，
+ *                                                          options.lyricTranslation / lyricRomanization 为翻译、音译歌词的合并方式
+ * - searchList(upstream, keyword, { page, limit }, signal, log) → 候选列表 [{ id, title, artist, album, duration(秒) }]
+ * - getSong(upstream, id, signal, log, options)         → 按 ID 获取，结果结构与 search 相同
+ * - canGetSong(upstream)                                → 该上游实例能否按 ID 获取（依赖可选配置时实现），缺省为能
+ * - resolveStream(upstream, id, signal, log, quality, hints) → 指定音质的真实播放链接，不可用时返回 null；
+ *                                                         实际音质可能低于请求时返回 { url, quality }（未知为 null）
+ * - getLyric(upstream, id, signal, log, options) → 歌词模型（见 lrc.js）或 null，也可返回 LRC 文本
+ *
+ * 搜索结果的 cover 为上游封面链接，可附带 coverId，由服务端统一改写为 /cover 代理链接。
+ * 搜索结果中的 lyric 为歌词模型（由服务端加工后输出为 LRC 文本），或指向 /fallback-lyric 的链接
+ * - getCover(upstream, coverId, signal, log)     → 封面链接或 null，coverId 为搜索结果中的 coverId 字段（如网易云 picId）
+ * - probe(upstream, signal)                      → { status: 'online' | 'hybrid' | 'offline', label }
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { UPSTREAMS } from '../config.js';
+import luckyAdapter from './lucky.js';
+import metingAdapter from './meting.js';
+import kuwoAdapter from './kuwo.js';
+import qqmusicAdapter from './qqmusic.js';
+
+const adapters = new Map();
+
+export function registerAdapter(adapter) {
+    if (!adapter?.type || typeof adapter.search !== 'function') {
+        throw new Error('适配器必须包含 type 和 search()');
+    }
+    adapters.set(adapter.type, { idParams: [], ...adapter });
+}
+
+export function getAdapter(type) {
+    return adapters.get(type) || null;
+}
+
+export function listAdapters() {
+    return [...adapters.values()];
+}
+
+// 根据查询参数（mid / rid / id ...）找到对应的适配器
+export function findAdapterByParam(query) {
+    for (const adapter of adapters.values()) {
+        const param = adapter.idParams.find(p => query[p]);
+        if (param) return { adapter, param, id: query[param] };
+    }
+    return null;
+}
+
+// 某个适配器对应的所有上游实例（含未参与搜索的）
+export function getUpstreamsFor(adapter) {
+    return UPSTREAMS.filter(u => u.type === adapter.type);
+}
+
+// 加载自定义适配器模块：模块默认导出适配器对象，可选导出 upstream 配置并追加到上游列表
+export async function loadAdapterModules(modules, log) {
+    for (const modulePath of modules) {
+        try {
+            const mod = await import(pathToFileURL(path.resolve(modulePath)).href);
+            registerAdapter(mod.default);
+            if (mod.upstream) {
+                UPSTREAMS.push({ enabled: true, type: mod.default.type, ...mod.upstream });
+            }
+            log.info({ module: modulePath, type: mod.default.type }, '自定义适配器已加载');
+        } catch (e) {
+            log.error({ module: modulePath, error: e.message }, '自定义适配器加载失败');
+        }
+    }
+}
+
+// 内置适配器
+registerAdapter(luckyAdapter);
+registerAdapter(metingAdapter);
+registerAdapter(kuwoAdapter);
+registerAdapter(qqmusicAdapter);
@@ -0,0 +1,141 @@
+/**
+ * HBMusic - 酷我音乐适配器
+ *
+ * 搜索/播放链接/歌词均来自 kw-api，播放与歌词经本服务 /fallback-stream、/fallback-lyric 代理
+ */
+
+import { resolveStreamWithQuality } from '../quality.js';
+import { pickBestCandidate } from '../ranking.js';
+import { parseLrc } from '../lrc.js';
+import { signUrl } from '../signing.js';
+
+// 音质档位 → kw-api 参数
+const KUWO_LEVELS = {
+    '128k': 'level=standard&format=mp3',
+    '320k': 'level=exhigh&format=mp3',
+    'flac': 'level=lossless&format=flac',
+};
+
+// rid 来自客户端（/song、/fallback-stream 等），只接受纯数字，避免向上游请求注入额外参数
+function isValidRid(rid) {
+    return /^\d+$/.test(String(rid));
+}
+
+async function search(upstream, keyword, signal, log, options = {}) {
+    const searchUrl = `${upstream.url}?name=${encodeURIComponent(keyword)}&page=1&limit=10`;
+    const searchRes = await fetch(searchUrl, {
+        signal,
+        headers: { 'User-Agent': 'HBMusic/1.0' }
+    });
+    const searchData = await searchRes.json();
+
+    if (searchData.code !== 200 || !searchData.data?.length) {
+        return null;
+    }
+
+    // 按歌名、歌手匹配度选歌
+    const { item: song, score } = pickBestCandidate(keyword, searchData.data, s => ({ title: s.name, artist: s.artist, album: s.album }));
+    log.info({ rid: song.rid, title: song.name, singer: song.artist, score }, '酷我搜索命中');
+
+    return buildSong(upstream, { rid: song.rid, title: song.name, singer: song.artist, cover: song.pic, duration: song.duration }, signal, log, options);
+}
+
+// 按 rid 直接获取：歌曲信息来自酷我官方 H5 接口（upstream.infoUrl）
+async function getSong(upstream, rid, signal, log, options = {}) {
+    if (!isValidRid(rid)) return null;
+    const res = await fetch(`${upstream.infoUrl}?musicId=${rid}`, {
+        signal,
+        headers: { 'User-Agent': 'Mozilla/5.0' }
+    });
+    const data = await res.json();
+    const info = data?.data?.songinfo;
+    if (!info) return null;
+
+    return buildSong(upstream, { rid, title: info.songName, singer: info.artist, cover: info.pic, duration: info.duration }, signal, log, options);
+}
+
+// 由歌曲信息组装完整结果，播放与歌词走本服务代理
+async function buildSong(upstream, { rid, title, singer, cover, duration }, signal, log, options) {
+    // 预先解析播放链接，确定实际可用的音质写入 music_url
+    const stream = await resolveStreamWithQuality(kuwoAdapter, upstream, rid, options.quality, signal, log);
+    if (!stream) return null;
+
+    return {
+        code: 200,
+        title: title || '未知歌曲',
+        singer: singer || '未知歌手',
+        cover: cover || '',
+        link: `https://www.kuwo.cn/play_detail/${rid}`,
+        music_url: signUrl('/fallback-stream', { rid, quality: stream.quality }),
+        lyric: signUrl('/fallback-lyric', { rid }),
+        duration: duration ? parseInt(duration) : null,
+        quality: stream.quality,
+    };
+}
+
+async function searchList(upstream, keyword, { page, limit }, signal) {
+    const searchRes = await fetch(`${upstream.url}?name=${encodeURIComponent(keyword)}&page=${page}&limit=${limit}`, {
+        signal,
+        headers: { 'User-Agent': 'HBMusic/1.0' }
+    });
+    const searchData = await searchRes.json();
+    if (searchData.code !== 200 || !searchData.data?.length) return [];
+
+    return searchData.data.map(song => ({
+        id: String(song.rid),
+        title: song.name || '未知歌曲',
+        artist: song.artist || '未知歌手',
+        album: song.album || '',
+        duration: song.duration ? parseInt(song.duration) : null,
+    }));
+}
+
+async function resolveStream(upstream, rid, signal, log, quality = '320k') {
+    if (!isValidRid(rid)) return null;
+    const res = await fetch(`${upstream.url}?id=${rid}&type=song&${KUWO_LEVELS[quality]}`, {
+        signal,
+        redirect: 'follow',
+        headers: { 'User-Agent': 'Mozilla/5.0' }
+    });
+    // 只需要最终地址，不读取音频内容
+    res.body?.cancel();
+
+    // 酷我返回 302 重定向到真实链接；该音质不可用时返回 JSON/文本错误信息
+    const contentType = res.headers.get('content-type') || '';
+    if ((res.ok || res.redirected) && !/json|text/.test(contentType)) {
+        log.info({ source: 'kuwo', rid, quality }, '获取酷我播放链接成功');
+        return res.url;
+    }
+    return null;
+}
+
+async function getLyric(upstream, rid, signal) {
+    if (!isValidRid(rid)) return null;
+    const res = await fetch(`${upstream.url}?id=${rid}&type=lyr&format=all`, {
+        signal,
+        headers: { 'User-Agent': 'Mozilla/5.0' }
+    });
+    const lyric = parseLrc(await res.text());
+    return lyric.lines.length ? lyric : null;
+}
+
+const kuwoAdapter = {
+    type: 'kuwo',
+    label: '酷我',
+    idParams: ['rid'],
+    qualities: ['128k', '320k', 'flac'],
+    search,
+    searchList,
+    getSong,
+    resolveStream,
+    getLyric,
+    async probe(upstream, signal) {
+        const res = await fetch(`${upstream.url}?name=test&page=1&limit=1`, {
+            signal,
+            headers: { 'User-Agent': 'HBMusic-HealthCheck/1.0' }
+        });
+        return res.ok ? { status: 'online', label: '在线' } : { status: 'offline', label: '离线' };
+    },
+};
+
+export default kuwoAdapter;
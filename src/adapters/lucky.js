@@ -0,0 +1,158 @@
+/**
+ * HBMusic - Lucky API 适配器（QQ 音乐）
+ *
+ * 直接返回真实播放链接
+ * 混合模式：付费歌曲时，先网易云确认 ID + 播放链接，再用精确歌名去 Lucky 获取歌词
+ */
+
+import { UPSTREAMS } from '../config.js';
+import { searchNeteaseInfo } from './netease-api.js';
+import metingAdapter from './meting.js';
+import { resolveStreamWithQuality } from '../quality.js';
+import { parseLrc, filterLyric, withDefaultTags } from '../lrc.js';
+import { createCounter } from '../metrics.js';
+
+// 混合模式触发次数，result: ok 成功 / no_match 网易云无结果 / no_stream 网易云无播放链接
+const hybridRuns = createCounter('hbmusic_lucky_hybrid_total', 'Lucky 付费歌曲触发混合模式的次数', ['result']);
+
+// Lucky 不支持选择音质，根据 QQ 音乐文件名前缀推断实际音质
+function inferQuality(musicUrl) {
+    const fileName = musicUrl.split('?')[0].split('/').pop() || '';
+    if (/^F000/.test(fileName) || /\.flac$/i.test(fileName)) return 'flac';
+    if (/^M800/.test(fileName)) return '320k';
+    if (/^(M500|C400)/.test(fileName)) return '128k';
+    return null;
+}
+
+// Lucky 歌词中的广告标记
+const LUCKY_AD_MARKERS = ['Lucky签', 'cer.luckying.love', '点歌接口'];
+
+// 解析 Lucky 歌词并过滤广告行
+function cleanLuckyLyric(text) {
+    return filterLyric(parseLrc(text), content => !LUCKY_AD_MARKERS.some(marker => content.includes(marker)));
+}
+
+async function search(upstream, keyword, signal, log, options = {}) {
+    const searchUrl = `${upstream.url}?Love=${encodeURIComponent(keyword)}`;
+    const searchRes = await fetch(searchUrl, {
+        signal,
+        headers: { 'User-Agent': 'HBMusic/1.0' }
+    });
+    const data = await searchRes.json();
+
+    if (data.code !== 200 || !data.music_url) {
+        return null;
+    }
+
+    // music_url 是有效播放链接 → 正常返回（无需混合模式）
+    if (data.music_url.startsWith('http')) {
+        const cleanLyric = cleanLuckyLyric(data.lyric);
+        return {
+            code: 200,
+            title: cleanLyric.tags.ti || keyword,
+            singer: cleanLyric.tags.ar || '未知歌手',
+            cover: data.cover || '',
+            link: data.link || '',
+            music_url: data.music_url,
+            lyric: cleanLyric,
+            quality: inferQuality(data.music_url),
+        };
+    }
+
+    // ============= 混合模式 =============
+    // 第一步：网易云搜索 → 确认歌曲 ID + 精确歌名歌手
+    log.info({ keyword, msg: data.music_url.substring(0, 40) }, '付费歌曲，启用混合模式');
+
+    const metingUpstream = UPSTREAMS.find(u => u.type === metingAdapter.type);
+    if (!metingUpstream) return null;
+
+    const neteaseResult = await searchNeteaseInfo(keyword, signal, log);
+    if (!neteaseResult) {
+        log.warn({ keyword }, '混合模式：网易云搜索无结果');
+        hybridRuns.inc({ result: 'no_match' });
+        return null;
+    }
+
+    const { songId, title: neteaseTitle, singer: neteaseSinger, albumName, picId, duration } = neteaseResult;
+    const stream = await resolveStreamWithQuality(metingAdapter, metingUpstream, songId, options.quality, signal, log, { duration });
+    if (!stream) {
+        log.warn({ songId }, '混合模式：网易云播放链接不可用');
+        hybridRuns.inc({ result: 'no_stream' });
+        return null;
+    }
+
+    log.info({ songId, neteaseTitle, neteaseSinger }, '混合模式：网易云歌曲确认');
+
+    // 第二步：用网易云的精确歌名去 Lucky 获取歌词
+    let lyric = null;
+    let cover = data.cover || '';
+    try {
+        const luckyLyricUrl = `${upstream.url}?Love=${encodeURIComponent(neteaseTitle)}`;
+        const luckyRes = await fetch(luckyLyricUrl, {
+            signal,
+            headers: { 'User-Agent': 'HBMusic/1.0' }
+        });
+        const luckyData = await luckyRes.json();
+
+        if (luckyData.code === 200 && luckyData.lyric) {
+            lyric = cleanLuckyLyric(luckyData.lyric);
+            if (luckyData.cover) cover = luckyData.cover;
+            log.info({ neteaseTitle }, '混合模式：Lucky 歌词获取成功');
+        }
+    } catch (e) {
+        log.warn({ error: e.message }, '混合模式：Lucky 歌词获取失败');
+    }
+
+    // 第三步：如果 Lucky 歌词也没有，用网易云歌词兜底
+    if (!lyric?.lines.length) {
+        lyric = await metingAdapter.getLyric(metingUpstream, songId, signal, log, options);
+        if (lyric?.lines.length) {
+            // 补充 LRC 元数据头
+            lyric = withDefaultTags(lyric, { ti: neteaseTitle, ar: neteaseSinger, al: albumName, offset: '0' });
+            log.info({ songId }, '混合模式：使用网易云歌词兜底');
+        }
+    }
+
+    hybridRuns.inc({ result: 'ok' });
+
+    // 封面：优先 Lucky，其次网易云
+    if (!cover && picId) {
+        cover = await metingAdapter.getCover(metingUpstream, picId, signal, log) || '';
+    }
+
+    return {
+        code: 200,
+        title: neteaseTitle,
+        singer: neteaseSinger,
+        cover,
+        link: `https://music.163.com/song?id=${songId}`,
+        music_url: stream.url,
+        lyric,
+        duration,
+        quality: stream.quality,
+    };
+}
+
+export default {
+    type: 'lucky',
+    label: 'QQ音乐',
+    idParams: [],
+    search,
+    async probe(upstream, signal) {
+        // Lucky API：真实搜索一首歌，检查 music_url 是否为有效链接
+        const res = await fetch(`${upstream.url}?Love=test`, {
+            signal,
+            headers: { 'User-Agent': 'HBMusic-HealthCheck/1.0' }
+        });
+        const data = await res.json();
+
+        if (data.code === 200 && data.music_url) {
+            if (data.music_url.startsWith('http')) {
+                return { status: 'online', label: '直连可用' };
+            }
+            // 能搜索但链接不可用（付费歌曲）→ 混合模式
+            return { status: 'hybrid', label: '混合模式' };
+        }
+        return { status: 'offline', label: '离线' };
+    },
+};
@@ -0,0 +1,193 @@
+/**
+ * HBMusic - 网易云音乐（Meting）适配器
+ *
+ * 搜索：直连网易云 cloudsearch API（EAPI 加密）
+ * 播放链接/歌词/封面：通过 v.iarc.top（内置 VIP Cookie）
+ */
+
+import { searchNeteaseSongs, getNeteaseSongDetail, getNeteaseLyric, toNeteaseSongInfo, toNeteaseCandidate } from './netease-api.js';
+import { pickBestCandidate } from '../ranking.js';
+import { resolveStreamWithQuality } from '../quality.js';
+import { parseLrc, withDefaultTags, combineLyricTracks } from '../lrc.js';
+
+// 音质档位 → Meting br 参数
+const METING_BITRATES = { '128k': 128, '320k': 320, 'flac': 999 };
+
+function getStreamUrl(upstream, songId, quality) {
+    const br = METING_BITRATES[quality];
+    return `${upstream.url}/?server=netease&type=url&id=${songId}` + (br ? `&br=${br}` : '');
+}
+
+// 无损与有损的码率分界（kbps），用于按文件大小估算实际音质
+const LOSSLESS_MIN_KBPS = 500;
+const HIGH_MIN_KBPS = 250;
+
+// br 只是上限，Meting 会静默返回不高于 br 的最好音质，实际档位从响应推断：
+// 最终链接或 Content-Type 为 flac 即无损；有损时按文件大小 / 时长估算码率，无时长时无法判断（null）
+function inferDeliveredQuality(res, quality, duration) {
+    const contentType = res.headers.get('content-type') || '';
+    const finalPath = new URL(res.url).pathname;
+    if (/flac/i.test(contentType) || /\.flac$/i.test(finalPath)) return 'flac';
+    // 请求 128k 时不会更高
+    if (quality === '128k') return '128k';
+
+    const size = parseInt(res.headers.get('content-length'));
+    if (!size || !duration) return null;
+    const kbps = size * 8 / duration / 1000;
+    if (kbps >= LOSSLESS_MIN_KBPS) return 'flac';
+    return kbps >= HIGH_MIN_KBPS ? '320k' : '128k';
+}
+
+// v.iarc.top 直接返回音频流（重定向到网易云 CDN），HEAD 验证该音质的播放链接是否可用
+async function resolveStream(upstream, songId, signal, log, quality, { duration } = {}) {
+    const musicUrl = getStreamUrl(upstream, songId, quality);
+    const headRes = await fetch(musicUrl, {
+        method: 'HEAD',
+        signal,
+        headers: { 'User-Agent': 'HBMusic/1.0' },
+    });
+    if (!headRes.ok) {
+        log.warn({ songId, quality, status: headRes.status }, '网易云播放链接不可用');
+        return null;
+    }
+    return { url: musicUrl, quality: inferDeliveredQuality(headRes, quality, duration) };
+}
+
+// options.lyricTranslation / options.lyricRomanization: 翻译、音译的合并方式（none / merge / only）
+async function getLyric(upstream, songId, signal, log, options = {}) {
+    const translation = options.lyricTranslation || 'none';
+    const romanization = options.lyricRomanization || 'none';
+
+    // 需要翻译或音译时直连网易云歌词接口（v.iarc.top 只提供原文）
+    if (translation !== 'none' || romanization !== 'none') {
+        try {
+            const tracks = await getNeteaseLyric(songId, signal);
+            if (tracks.lrc) {
+                // 音译在前、翻译在后，紧跟原文
+                return combineLyricTracks(parseLrc(tracks.lrc), [
+                    { lyric: parseLrc(tracks.romalrc), mode: romanization },
+                    { lyric: parseLrc(tracks.tlyric), mode: translation },
+                ]);
+            }
+        } catch (e) {
+            log.warn({ songId, error: e.message }, '网易云翻译歌词获取失败，使用原文');
+        }
+    }
+
+    try {
+        const lrcRes = await fetch(`${upstream.url}/?server=netease&type=lrc&id=${songId}`, {
+            signal,
+            headers: { 'User-Agent': 'HBMusic/1.0' },
+        });
+        return parseLrc(await lrcRes.text());
+    } catch (e) {
+        log.warn({ songId, error: e.message }, '网易云歌词获取失败');
+        return null;
+    }
+}
+
+async function search(upstream, keyword, signal, log, options = {}) {
+    // 第一步：通过网易云 cloudsearch API 搜索歌名
+    log.info({ keyword, source: 'netease' }, '尝试网易云搜索...');
+
+    const songs = await searchNeteaseSongs(keyword, signal, { limit: 10 });
+
+    if (songs.length === 0) {
+        log.warn({ keyword }, '网易云搜索无结果');
+        return null;
+    }
+
+    // 按歌名、歌手匹配度选歌
+    const { item: song, score } = pickBestCandidate(keyword, songs, toNeteaseCandidate);
+    const info = toNeteaseSongInfo(song);
+    log.info({ songId: info.songId, title: info.title, singer: info.singer, score }, '网易云搜索命中');
+
+    return buildSong(upstream, { ...info, title: info.title || keyword }, signal, log, options);
+}
+
+// 按歌曲 ID 直接获取
+async function getSong(upstream, songId, signal, log, options = {}) {
+    const song = await getNeteaseSongDetail(songId, signal);
+    if (!song) return null;
+    return buildSong(upstream, toNeteaseSongInfo(song), signal, log, options);
+}
+
+// 网易云封面以 pic_str 为 ID（纯数字）；/cover 的 id 来自客户端，不合法时返回 null，不拼进上游链接
+function getCoverUrl(upstream, picId) {
+    if (!/^\d+$/.test(String(picId))) return null;
+    return `${upstream.url}/?server=netease&type=pic&id=${picId}`;
+}
+
+// 由歌曲信息组装完整结果：播放链接、歌词、封面
+async function buildSong(upstream, info, signal, log, options) {
+    const { songId, title, singer, albumName, picId, duration } = info;
+
+    // 构造 v.iarc.top 播放链接并验证可用（直接返回音频流，无需解析 JSON），高音质不可用时降档
+    let stream;
+    try {
+        stream = await resolveStreamWithQuality(metingAdapter, upstream, songId, options.quality, signal, log, { duration });
+    } catch (e) {
+        log.warn({ songId, error: e.message }, '网易云播放链接验证失败');
+        return null;
+    }
+    if (!stream) return null;
+    log.info({ songId, quality: stream.quality }, '网易云播放链接验证通过');
+
+    // 通过 v.iarc.top 获取歌词（直接返回 LRC 文本）
+    let lyric = await getLyric(upstream, songId, signal, log, options);
+
+    // 封面（直接用 v.iarc.top 的图片链接）
+    const cover = (picId && getCoverUrl(upstream, picId)) || '';
+
+    // 为歌词补充标准 LRC 元数据头（网易云返回的歌词缺少这些标签）
+    if (lyric?.lines.length) {
+        lyric = withDefaultTags(lyric, { ti: title, ar: singer, al: albumName, offset: '0' });
+    }
+
+    return {
+        code: 200,
+        title,
+        singer,
+        cover,
+        coverId: cover ? String(picId) : null,
+        link: `https://music.163.com/song?id=${songId}`,
+        music_url: stream.url,
+        lyric,
+        duration,
+        quality: stream.quality,
+    };
+}
+
+async function searchList(upstream, keyword, { page, limit }, signal) {
+    const songs = await searchNeteaseSongs(keyword, signal, { limit, offset: (page - 1) * limit });
+    return songs.map(song => ({
+        id: String(song.id),
+        title: song.name,
+        artist: song.ar?.map(a => a.name).join('/') || '未知歌手',
+        album: song.al?.name || '',
+        duration: song.dt ? Math.round(song.dt / 1000) : null,
+    }));
+}
+
+const metingAdapter = {
+    type: 'meting',
+    label: '网易云',
+    idParams: [],
+    qualities: ['128k', '320k', 'flac'],
+    search,
+    searchList,
+    getSong,
+    resolveStream,
+    getLyric,
+    getCover: async (upstream, picId) => getCoverUrl(upstream, picId),
+    async probe(upstream, signal) {
+        // 网易云：测试 v.iarc.top 是否可以响应
+        const res = await fetch(`${upstream.url}/?server=netease&type=song&id=186016`, {
+            signal,
+            headers: { 'User-Agent': 'HBMusic-HealthCheck/1.0' }
+        });
+        return res.ok ? { status: 'online', label: '在线' } : { status: 'offline', label: '离线' };
+    },
+};
+
+export default metingAdapter;
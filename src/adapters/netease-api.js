@@ -0,0 +1,146 @@
+/**
+ * HBMusic - 网易云音乐直连 API
+ *
+ * 搜索：直连网易云 cloudsearch API（EAPI 加密）
+ * 供网易云（Meting）适配器与 Lucky 混合模式共用
+ */
+
+import crypto from 'crypto';
+import { pickBestCandidate } from '../ranking.js';
+
+const EAPI_KEY = 'e82ckenh8dichen8';
+
+// 网易云 EAPI 加密
+export function neteaseEapiEncrypt(url, body) {
+    const text = JSON.stringify(body);
+    const path = url.replace(/https?:\/\/[^\/]+/, '');
+
+    const message = `nobody${path}use${text}md5forencrypt`;
+    const digest = crypto.createHash('md5').update(message).digest('hex');
+    const data = `${path}-36cd479b6b5-${text}-36cd479b6b5-${digest}`;
+
+    const cipher = crypto.createCipheriv('aes-128-ecb', Buffer.from(EAPI_KEY, 'utf8'), null);
+    cipher.setAutoPadding(true);
+    let encrypted = cipher.update(data, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return {
+        url: url.replace('/api/', '/eapi/'),
+        params: encrypted.toUpperCase(),
+    };
+}
+
+// 生成网易云请求头
+export function getNeteaseHeaders() {
+    const deviceId = crypto.randomBytes(16).toString('hex').toUpperCase();
+    const timestamp = Date.now().toString();
+    return {
+        'Referer': 'music.163.com',
+        'Cookie': `osver=android; appver=8.7.01; os=android; deviceId=${deviceId}; channel=netease; requestId=${timestamp}_${Math.floor(Math.random() * 1000).toString().padStart(4, '0')}`,
+        'User-Agent': 'Mozilla/5.0 (Linux; Android 11) NeteaseMusic/8.7.01',
+        'Content-Type': 'application/x-www-form-urlencoded',
+    };
+}
+
+// cloudsearch 搜索，返回原始歌曲列表（无结果时为空数组）
+export async function searchNeteaseSongs(keyword, signal, { limit = 5, offset = 0 } = {}) {
+    const searchBody = {
+        s: keyword,
+        type: 1,
+        limit,
+        total: 'true',
+        offset,
+    };
+
+    const encrypted = neteaseEapiEncrypt('http://music.163.com/api/cloudsearch/pc', searchBody);
+    const searchParams = new URLSearchParams({ params: encrypted.params });
+
+    const searchRes = await fetch(encrypted.url, {
+        method: 'POST',
+        signal,
+        headers: getNeteaseHeaders(),
+        body: searchParams.toString(),
+    });
+
+    const searchData = await searchRes.json();
+    return searchData?.result?.songs || [];
+}
+
+// 按 ID 获取歌曲详情，返回原始歌曲对象（不存在时为 null）
+export async function getNeteaseSongDetail(songId, signal) {
+    const encrypted = neteaseEapiEncrypt('http://music.163.com/api/v3/song/detail', {
+        c: JSON.stringify([{ id: Number(songId) }]),
+    });
+    const res = await fetch(encrypted.url, {
+        method: 'POST',
+        signal,
+        headers: getNeteaseHeaders(),
+        body: new URLSearchParams({ params: encrypted.params }).toString(),
+    });
+    const data = await res.json();
+    return data?.songs?.[0] || null;
+}
+
+// 获取歌词原文、翻译（tlyric）与音译（romalrc），均为 LRC 文本（缺失时为空字符串）
+export async function getNeteaseLyric(songId, signal) {
+    const encrypted = neteaseEapiEncrypt('http://music.163.com/api/song/lyric', {
+        id: Number(songId),
+        lv: -1,
+        tv: -1,
+        rv: -1,
+    });
+    const res = await fetch(encrypted.url, {
+        method: 'POST',
+        signal,
+        headers: getNeteaseHeaders(),
+        body: new URLSearchParams({ params: encrypted.params }).toString(),
+    });
+    const data = await res.json();
+    return {
+        lrc: data?.lrc?.lyric || '',
+        tlyric: data?.tlyric?.lyric || '',
+        romalrc: data?.romalrc?.lyric || '',
+    };
+}
+
+// 排序用的候选字段
+export function toNeteaseCandidate(song) {
+    return {
+        title: song.name,
+        artist: song.ar?.map(a => a.name).join('/') || '',
+        album: song.al?.name || '',
+    };
+}
+
+// 提取歌曲基础信息
+export function toNeteaseSongInfo(song) {
+    return {
+        songId: song.id,
+        title: song.name,
+        singer: song.ar?.map(a => a.name).join('/') || '未知歌手',
+        albumName: song.al?.name || '',
+        picId: song.al?.pic_str || song.al?.pic || '',
+        duration: song.dt ? Math.round(song.dt / 1000) : null,
+    };
+}
+
+// 通过网易云 EAPI 搜索歌曲，返回完整歌曲信息
+export async function searchNeteaseInfo(keyword, signal, log) {
+    try {
+        const songs = await searchNeteaseSongs(keyword, signal, { limit: 10 });
+
+        if (songs.length === 0) {
+            return null;
+        }
+
+        // 按歌名、歌手匹配度选歌
+        const { item: song, score } = pickBestCandidate(keyword, songs, toNeteaseCandidate);
+
+        log.info({ songId: song.id, title: song.name, score }, '网易云歌曲匹配');
+
+        return toNeteaseSongInfo(song);
+    } catch (e) {
+        log.warn({ error: e.message }, '网易云搜索失败');
+        return null;
+    }
+}
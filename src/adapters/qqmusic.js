@@ -0,0 +1,162 @@
+/**
+ * HBMusic - QQ 音乐适配器（qq-music-api-v2 格式）
+ *
+ * 上游配置需提供 endpoints: { search, url, lyric }，可选 detail（按 mid 获取歌曲信息）
+ * 播放与歌词经本服务 /fallback-stream、/fallback-lyric 代理
+ */
+
+import { resolveStreamWithQuality } from '../quality.js';
+import { pickBestCandidate } from '../ranking.js';
+import { parseLrc } from '../lrc.js';
+import { signUrl } from '../signing.js';
+
+// 音质档位 → qq-music-api-v2 quality 参数
+const QQ_QUALITIES = { '128k': '128', '320k': '320', 'flac': 'flac' };
+
+// mid（字母数字）与旧版 songid（纯数字）来自客户端，不合法时不请求上游，避免注入额外参数
+function isValidMid(mid) {
+    return /^[0-9A-Za-z]+$/.test(String(mid));
+}
+
+async function search(upstream, keyword, signal, log, options = {}) {
+    const searchUrl = `${upstream.url}${upstream.endpoints.search}?keyword=${encodeURIComponent(keyword)}&num=10`;
+    const searchRes = await fetch(searchUrl, {
+        signal,
+        headers: { 'User-Agent': 'HBMusic/1.0' }
+    });
+    const searchData = await searchRes.json();
+
+    if (searchData.code !== 0 || !searchData.data?.list?.length) {
+        return null;
+    }
+
+    // 按歌名、歌手匹配度选歌
+    const { item: song, score } = pickBestCandidate(keyword, searchData.data.list, toCandidate);
+    log.info({ mid: song.mid, title: song.name, score }, 'QQ 音乐搜索命中');
+
+    return buildSong(upstream, song, signal, log, options);
+}
+
+function toCandidate(song) {
+    return {
+        title: song.name,
+        artist: (song.singer || []).map(s => s.name).join('/'),
+        album: song.album?.name || '',
+    };
+}
+
+// 按 mid 直接获取（需要上游提供 detail 接口）
+async function getSong(upstream, mid, signal, log, options = {}) {
+    if (!upstream.endpoints.detail || !isValidMid(mid)) return null;
+
+    const res = await fetch(`${upstream.url}${upstream.endpoints.detail}?mid=${mid}`, {
+        signal,
+        headers: { 'User-Agent': 'HBMusic/1.0' }
+    });
+    const data = await res.json();
+    const song = data.code === 0 ? (data.data?.track_info || data.data) : null;
+    if (!song?.mid) return null;
+
+    return buildSong(upstream, song, signal, log, options);
+}
+
+// 由上游歌曲对象组装完整结果，播放与歌词走本服务代理
+async function buildSong(upstream, song, signal, log, options) {
+    const mid = song.mid;
+    const songName = song.name || '未知歌曲';
+    const artistName = (song.singer || []).map(s => s.name).join('/') || '未知歌手';
+    const album = song.album || {};
+
+    // 预先解析播放链接，确定实际可用的音质写入 music_url
+    const stream = await resolveStreamWithQuality(qqmusicAdapter, upstream, mid, options.quality, signal, log);
+    if (!stream) return null;
+
+    return {
+        code: 200,
+        title: songName,
+        singer: artistName,
+        cover: album.mid ? getCoverUrl(album.mid) : '',
+        coverId: album.mid || null,
+        link: `https://y.qq.com/n/ryqq/songDetail/${mid}`,
+        music_url: signUrl('/fallback-stream', { mid, quality: stream.quality }),
+        lyric: signUrl('/fallback-lyric', { mid }),
+        quality: stream.quality,
+    };
+}
+
+async function searchList(upstream, keyword, { page, limit }, signal) {
+    const searchUrl = `${upstream.url}${upstream.endpoints.search}?keyword=${encodeURIComponent(keyword)}&num=${limit}&page=${page}`;
+    const searchRes = await fetch(searchUrl, {
+        signal,
+        headers: { 'User-Agent': 'HBMusic/1.0' }
+    });
+    const searchData = await searchRes.json();
+    if (searchData.code !== 0 || !searchData.data?.list?.length) return [];
+
+    return searchData.data.list.map(song => ({
+        id: song.mid,
+        title: song.name || '未知歌曲',
+        artist: (song.singer || []).map(s => s.name).join('/') || '未知歌手',
+        album: song.album?.name || '',
+        duration: song.interval || null,
+    }));
+}
+
+function getCoverUrl(albumMid) {
+    return `https://y.qq.com/music/photo_new/T002R300x300M000${albumMid}.jpg`;
+}
+
+// 支持 mid 和旧版纯数字 songid
+async function resolveStream(upstream, id, signal, log, quality = '320k') {
+    if (!isValidMid(id)) return null;
+    const param = /^\d+$/.test(id) ? 'id' : 'mid';
+    const urlRes = await fetch(`${upstream.url}${upstream.endpoints.url}?${param}=${id}&quality=${QQ_QUALITIES[quality]}`, {
+        signal,
+        headers: { 'User-Agent': 'HBMusic/1.0' }
+    });
+
+    const urlData = await urlRes.json();
+    // mid 查询以 mid 为键；songid 查询时取返回数据中的第一个链接
+    const audioUrl = param === 'mid'
+        ? urlData.data?.[id]
+        : urlData.data?.[Object.keys(urlData.data || {})[0]];
+
+    if (audioUrl) {
+        log.info({ upstream: upstream.name, [param]: id, quality }, '获取播放链接成功');
+    }
+    return audioUrl || null;
+}
+
+async function getLyric(upstream, mid, signal) {
+    if (!isValidMid(mid)) return null;
+    const res = await fetch(`${upstream.url}${upstream.endpoints.lyric}?mid=${mid}`, {
+        signal,
+        headers: { 'User-Agent': 'HBMusic/1.0' }
+    });
+    const data = await res.json();
+    return data.code === 0 && data.data?.lyric ? parseLrc(data.data.lyric) : null;
+}
+
+const qqmusicAdapter = {
+    type: 'qqmusic',
+    label: 'QQ音乐',
+    idParams: ['mid', 'id'],
+    qualities: ['128k', '320k', 'flac'],
+    search,
+    searchList,
+    getSong,
+    // 没有配置 detail 接口时无法按 mid 获取歌曲信息
+    canGetSong: (upstream) => Boolean(upstream.endpoints.detail),
+    resolveStream,
+    getLyric,
+    getCover: async (upstream, albumMid) => (isValidMid(albumMid) ? getCoverUrl(albumMid) : null),
+    async probe(upstream, signal) {
+        const res = await fetch(`${upstream.url}${upstream.endpoints.search}?keyword=test&num=1`, {
+            signal,
+            headers: { 'User-Agent': 'HBMusic-HealthCheck/1.0' }
+        });
+        return res.ok ? { status: 'online', label: '在线' } : { status: 'offline', label: '离线' };
+    },
+};
+
+export default qqmusicAdapter;
@@ -0,0 +1,172 @@
+/**
+ * HBMusic - 管理接口
+ *
+ * 挂载在 ADMIN_PREFIX 下，需携带 ADMIN_TOKENS 中的令牌（Authorization: Bearer <token> 或 X-Admin-Token），
+ * 未配置令牌时不注册。修改即时生效（不写回环境变量，重启后恢复为配置值），每次修改都会记录操作人。
+ *
+ * GET    /                    当前运行状态（上游、公告、缓存统计）
+ * PATCH  /upstreams/:name     启用 / 停用上游 { enabled }
+ * PUT    /upstreams/priority  调整音源优先级 { order: ['netease', 'lucky'] }
+ * GET    /cache               查看搜索缓存条目
+ * DELETE /cache               清空搜索缓存，?key= 只删除单个条目
+ * PUT    /announcement        修改公告 { text?, show? }
+ * POST   /health/check        立即重新检测上游健康状态
+ */
+
+import crypto from 'crypto';
+import { CONFIG, UPSTREAMS } from './config.js';
+import { reorderUpstreams, findUpstreamsBySource } from './sources.js';
+import { getBreakerState } from './breaker.js';
+import { runHealthCheck, getHealth } from './health.js';
+
+// ADMIN_TOKENS 条目格式为 name:token，省略 name 时操作人记为 admin
+function parseAdminTokens(entries) {
+    return entries.map(entry => {
+        const sep = entry.indexOf(':');
+        return sep > 0
+            ? { name: entry.slice(0, sep), token: entry.slice(sep + 1) }
+            : { name: 'admin', token: entry };
+    }).filter(t => t.token);
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function getRequestToken(request) {
+    const auth = request.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+    return request.headers['x-admin-token'] || '';
+}
+
+function describeUpstream(upstream) {
+    return {
+        name: upstream.name,
+        type: upstream.type,
+        enabled: upstream.enabled,
+        breaker: getBreakerState(upstream.name),
+    };
+}
+
+// 管理接口是否开启（用于敏感路径拦截放行）
+export function isAdminEnabled() {
+    return parseAdminTokens(CONFIG.ADMIN_TOKENS).length > 0;
+}
+
+// Fastify 插件，options: { searchCache, getCacheStats }
+export default async function adminRoutes(app, { searchCache, getCacheStats }) {
+    const tokens = parseAdminTokens(CONFIG.ADMIN_TOKENS);
+
+    app.addHook('onRequest', async (request, reply) => {
+        const token = String(getRequestToken(request));
+        const matched = token && tokens.find(t => safeEqual(t.token, token));
+        if (!matched) {
+            request.log.warn({ path: request.url.split('?')[0], ip: request.ip }, '管理接口鉴权失败');
+            return reply.code(401).send({ code: 401, message: '未授权' });
+        }
+        request.operator = matched.name;
+    });
+
+    // 记录修改操作：操作人、来源 IP 与变更内容
+    function audit(request, action, details) {
+        request.log.info({ operator: request.operator, ip: request.ip, action, ...details }, '管理操作');
+    }
+
+    app.get('/', async () => ({
+        upstreams: UPSTREAMS.map(describeUpstream),
+        announcement: { show: CONFIG.SHOW_ANNOUNCEMENT, text: CONFIG.ANNOUNCEMENT_TEXT },
+        searchCache: getCacheStats(),
+    }));
+
+    app.patch('/upstreams/:name', async (request, reply) => {
+        const enabled = request.body?.enabled;
+        if (typeof enabled !== 'boolean') {
+            return reply.code(400).send({ code: 400, message: 'enabled 必须为 true 或 false' });
+        }
+
+        const matched = findUpstreamsBySource(request.params.name);
+        if (!matched.length) {
+            return reply.code(404).send({ code: 404, message: `未知音源: ${request.params.name}` });
+        }
+
+        for (const upstream of matched) upstream.enabled = enabled;
+        audit(request, enabled ? 'enable-upstream' : 'disable-upstream', { upstreams: matched.map(u => u.name) });
+        return { upstreams: UPSTREAMS.map(describeUpstream) };
+    });
+
+    app.put('/upstreams/priority', async (request, reply) => {
+        const order = request.body?.order;
+        if (!Array.isArray(order) || !order.length || !order.every(s => typeof s === 'string')) {
+            return reply.code(400).send({ code: 400, message: 'order 必须为音源名数组' });
+        }
+
+        const priority = order.map(s => s.trim().toLowerCase());
+        const unknown = priority.filter(source => !findUpstreamsBySource(source).length);
+        if (unknown.length) {
+            return reply.code(400).send({ code: 400, message: `未知音源: ${unknown.join(', ')}` });
+        }
+
+        const before = UPSTREAMS.map(u => u.name);
+        reorderUpstreams(priority);
+        audit(request, 'reorder-upstreams', { before, after: UPSTREAMS.map(u => u.name) });
+        return { upstreams: UPSTREAMS.map(describeUpstream) };
+    });
+
+    app.get('/cache', async () => {
+        const now = Date.now();
+        const entries = [...searchCache.keys()].map(key => {
+            const entry = searchCache.get(key);
+            return {
+                key,
+                age: now - entry.timestamp,
+                negative: Boolean(entry.negative),
+                title: entry.data?.title,
+                singer: entry.data?.singer,
+                source: entry.data?.source,
+            };
+        });
+        return { stats: getCacheStats(), entries };
+    });
+
+    app.delete('/cache', async (request, reply) => {
+        const key = request.query.key;
+        if (key !== undefined) {
+            if (!searchCache.delete(String(key))) {
+                return reply.code(404).send({ code: 404, message: '缓存条目不存在' });
+            }
+            audit(request, 'delete-cache-entry', { key });
+            return { deleted: 1 };
+        }
+
+        const deleted = searchCache.size;
+        searchCache.clear();
+        audit(request, 'flush-cache', { deleted });
+        return { deleted };
+    });
+
+    app.put('/announcement', async (request, reply) => {
+        const { text, show } = request.body || {};
+        if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+            return reply.code(400).send({ code: 400, message: 'text 必须为非空字符串' });
+        }
+        if (show !== undefined && typeof show !== 'boolean') {
+            return reply.code(400).send({ code: 400, message: 'show 必须为 true 或 false' });
+        }
+        if (text === undefined && show === undefined) {
+            return reply.code(400).send({ code: 400, message: '缺少 text 或 show' });
+        }
+
+        if (text !== undefined) CONFIG.ANNOUNCEMENT_TEXT = text.trim();
+        if (show !== undefined) CONFIG.SHOW_ANNOUNCEMENT = show;
+        audit(request, 'update-announcement', { text, show });
+        return { show: CONFIG.SHOW_ANNOUNCEMENT, text: CONFIG.ANNOUNCEMENT_TEXT };
+    });
+
+    app.post('/health/check', async (request) => {
+        audit(request, 'health-check', {});
+        await runHealthCheck(request.log);
+        return getHealth();
+    });
+}
@@ -0,0 +1,179 @@
+/**
+ * HBMusic - 点歌统计
+ *
+ * 每次点歌记录一条事件：{ time, keyword, title, artist, source, latency, outcome, reason }，
+ * keyword 为规范化后的关键词，不记录 IP 等用户标识。
+ * - 原始事件按天追加写入 dir/YYYY-MM-DD.jsonl（UTC 日期），保留 retentionDays 天
+ * - 内存中按小时聚合最近 7 天，用于排行榜与失败关键词查询；启动时由事件文件重建
+ *
+ * outcome: ok 上游命中 / cached 缓存命中 / not_found 所有音源都无结果 / error 上游故障
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// 内存聚合覆盖的最长统计周期
+const WINDOW_MS = 7 * DAY_MS;
+
+export const ANALYTICS_PERIODS = { day: DAY_MS, week: WINDOW_MS };
+
+function getFileName(time) {
+    return `${new Date(time).toISOString().slice(0, 10)}.jsonl`;
+}
+
+// 同一首歌的不同关键词、不同音源合并统计
+function getSongKey(event) {
+    return `${event.title}\u0000${event.artist}`.toLowerCase();
+}
+
+export function createAnalytics({ dir, retentionDays, log }) {
+    // 小时起点 → { songs: Map(songKey → { title, artist, source, count, keywords: Map }), failures: Map(keyword → {...}) }
+    const hours = new Map();
+    let writer = null;
+    let writerFile = null;
+
+    function getHour(time) {
+        const start = Math.floor(time / HOUR_MS) * HOUR_MS;
+        if (!hours.has(start)) hours.set(start, { songs: new Map(), failures: new Map() });
+        return hours.get(start);
+    }
+
+    function aggregate(event) {
+        if (event.time <= Date.now() - WINDOW_MS) return;
+        const hour = getHour(event.time);
+
+        if (event.outcome === 'ok' || event.outcome === 'cached') {
+            const key = getSongKey(event);
+            const song = hour.songs.get(key) || { title: event.title, artist: event.artist, source: event.source, count: 0, keywords: new Map() };
+            song.count++;
+            song.source = event.source;
+            song.keywords.set(event.keyword, (song.keywords.get(event.keyword) || 0) + 1);
+            hour.songs.set(key, song);
+        } else {
+            const failure = hour.failures.get(event.keyword) || { count: 0, notFound: 0 };
+            failure.count++;
+            if (event.outcome === 'not_found') failure.notFound++;
+            failure.lastReason = event.reason;
+            failure.lastTime = event.time;
+            hour.failures.set(event.keyword, failure);
+        }
+    }
+
+    function prune() {
+        const cutoff = Date.now() - WINDOW_MS;
+        for (const start of hours.keys()) {
+            if (start + HOUR_MS <= cutoff) hours.delete(start);
+        }
+    }
+
+    // 删除超过保留期的事件文件
+    function removeExpiredFiles() {
+        const oldest = getFileName(Date.now() - retentionDays * DAY_MS);
+        for (const file of fs.readdirSync(dir)) {
+            if (file.endsWith('.jsonl') && file < oldest) fs.rmSync(path.join(dir, file), { force: true });
+        }
+    }
+
+    // 启动时从最近 7 天的事件文件重建聚合
+    async function load() {
+        if (!dir) return;
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            removeExpiredFiles();
+
+            const oldest = getFileName(Date.now() - WINDOW_MS);
+            const files = fs.readdirSync(dir).filter(f => f.endsWith('.jsonl') && f >= oldest).sort();
+            let events = 0;
+            for (const file of files) {
+                const lines = readline.createInterface({ input: fs.createReadStream(path.join(dir, file)), crlfDelay: Infinity });
+                for await (const line of lines) {
+                    try {
+                        aggregate(JSON.parse(line));
+                        events++;
+                    } catch {
+                        // 写到一半的行，忽略
+                    }
+                }
+            }
+            log.info({ dir, events }, '点歌统计已从磁盘恢复');
+        } catch (e) {
+            log.warn({ dir, error: e.message }, '点歌统计读取失败，已忽略');
+        }
+    }
+
+    function append(event) {
+        const file = getFileName(event.time);
+        if (file !== writerFile) {
+            writer?.end();
+            writerFile = file;
+            writer = fs.createWriteStream(path.join(dir, file), { flags: 'a' });
+            writer.on('error', e => log.error({ file, error: e.message }, '点歌统计写入失败'));
+            removeExpiredFiles();
+        }
+        writer.write(JSON.stringify(event) + '\n');
+    }
+
+    function record(event) {
+        aggregate(event);
+        if (hours.size > WINDOW_MS / HOUR_MS + 1) prune();
+        if (dir) append(event);
+    }
+
+    // 合并 periodMs 内各小时的聚合
+    function collect(periodMs, field) {
+        const cutoff = Date.now() - periodMs;
+        const merged = new Map();
+        for (const [start, hour] of hours) {
+            if (start + HOUR_MS <= cutoff) continue;
+            for (const [key, item] of hour[field]) {
+                const list = merged.get(key) || [];
+                list.push(item);
+                merged.set(key, list);
+            }
+        }
+        return merged;
+    }
+
+    // 热门歌曲排行，keyword 为该歌曲最常用的点歌关键词
+    function getTop(periodMs, limit) {
+        return [...collect(periodMs, 'songs').values()].map(items => {
+            const keywords = new Map();
+            for (const item of items) {
+                for (const [keyword, count] of item.keywords) keywords.set(keyword, (keywords.get(keyword) || 0) + count);
+            }
+            const last = items.at(-1);
+            return {
+                title: last.title,
+                artist: last.artist,
+                source: last.source,
+                count: items.reduce((sum, item) => sum + item.count, 0),
+                keyword: [...keywords].sort((a, b) => b[1] - a[1])[0][0],
+            };
+        }).sort((a, b) => b.count - a.count).slice(0, limit);
+    }
+
+    // 失败关键词，notFound 为其中所有音源都无结果的次数
+    function getFailures(periodMs, limit) {
+        return [...collect(periodMs, 'failures')].map(([keyword, items]) => {
+            const last = items.at(-1);
+            return {
+                keyword,
+                count: items.reduce((sum, item) => sum + item.count, 0),
+                notFound: items.reduce((sum, item) => sum + item.notFound, 0),
+                lastReason: last.lastReason,
+                lastTime: new Date(last.lastTime).toISOString(),
+            };
+        }).sort((a, b) => b.count - a.count).slice(0, limit);
+    }
+
+    function close() {
+        writer?.end();
+        writer = null;
+        writerFile = null;
+    }
+
+    return { load, record, getTop, getFailures, close };
+}
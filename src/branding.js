@@ -0,0 +1,51 @@
+/**
+ * HBMusic - 品牌签名
+ *
+ * 歌手名后缀、歌词 [by:] 标签、歌词推广行与状态页展示地址均可通过环境变量配置，
+ * 支持 {site}（站点名）与 {baseUrl}（服务地址）模板，设为空字符串即关闭对应签名。
+ */
+
+import { CONFIG } from './config.js';
+import { setTag, insertLines } from './lrc.js';
+
+function render(template) {
+    return template
+        .replaceAll('{site}', CONFIG.BRAND_SITE)
+        .replaceAll('{baseUrl}', CONFIG.BASE_URL);
+}
+
+// 状态页展示的点歌地址
+export function getAdvertisedUrl() {
+    return render(CONFIG.BRAND_URL);
+}
+
+export function brandSinger(singer) {
+    const suffix = render(CONFIG.BRAND_SINGER_SUFFIX);
+    return suffix ? `${singer}${suffix}` : singer;
+}
+
+// 去掉 brandSinger 添加的后缀（统计等需要原始歌手名的场景）
+export function unbrandSinger(singer) {
+    const suffix = render(CONFIG.BRAND_SINGER_SUFFIX);
+    return suffix && singer.endsWith(suffix) ? singer.slice(0, -suffix.length) : singer;
+}
+
+// 品牌签名：歌词模型（见 lrc.js）
+export function brandLyric(lrc) {
+    if (lrc.lines.length === 0) return lrc;
+
+    // 1. 设置 [by:] 元数据标签
+    const byTag = render(CONFIG.BRAND_LYRIC_TAG);
+    const branded = byTag ? setTag(lrc, 'by', byTag) : lrc;
+
+    const promoLines = CONFIG.BRAND_LYRIC_LINES.map(render).filter(Boolean);
+    if (promoLines.length === 0) return branded;
+
+    // 2. 在制作人信息（作词/作曲/编曲等）之后、正式歌词之前插入品牌行
+    const creditKeywords = ['作词', '作曲', '编曲', '制作人', '合声', '混音', '母带', '录音', '吉他', '钢琴', '贝斯', '鼓', '弦乐'];
+    const lastCredit = branded.lines.findLast(line => creditKeywords.some(kw => line.text.includes(kw)));
+
+    // 以最后一条制作人信息的时间为起点（没有则用第一行歌词），每行依次加 1 秒
+    const baseTime = (lastCredit || branded.lines[0]).time;
+    return insertLines(branded, promoLines.map((text, i) => ({ time: baseTime + (i + 1) * 1000, text })));
+}
@@ -0,0 +1,69 @@
+/**
+ * HBMusic - 上游熔断器
+ *
+ * 每个上游一个熔断器，由真实请求结果驱动：
+ * - closed:    正常放行，连续失败（含超时）达到阈值后转为 open
+ * - open:      直接跳过该上游，冷却时间到后转为 half-open
+ * - half-open: 只放行一个探测请求，成功则恢复 closed，失败则重新 open
+ */
+
+import { CONFIG } from './config.js';
+
+const breakers = new Map();
+
+function getBreaker(name) {
+    if (!breakers.has(name)) {
+        breakers.set(name, { state: 'closed', failures: 0, openedAt: 0, probing: false, lastError: null });
+    }
+    return breakers.get(name);
+}
+
+// 是否允许向该上游发起请求；half-open 时只放行一个探测请求
+export function canRequest(name) {
+    if (CONFIG.BREAKER_THRESHOLD <= 0) return true;
+
+    const breaker = getBreaker(name);
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= CONFIG.BREAKER_COOLDOWN) {
+        breaker.state = 'half-open';
+    }
+    if (breaker.state === 'half-open') {
+        if (breaker.probing) return false;
+        breaker.probing = true;
+        return true;
+    }
+    return breaker.state === 'closed';
+}
+
+// 记录请求结果：success / failure；neutral 表示请求被主动中止，不计入统计
+// 返回状态变化（如 'open'、'closed'），无变化时返回 null
+export function recordOutcome(name, outcome, error) {
+    if (CONFIG.BREAKER_THRESHOLD <= 0) return null;
+
+    const breaker = getBreaker(name);
+    const previous = breaker.state;
+    breaker.probing = false;
+
+    if (outcome === 'success') {
+        breaker.state = 'closed';
+        breaker.failures = 0;
+    } else if (outcome === 'failure') {
+        breaker.failures++;
+        breaker.lastError = error || null;
+        if (breaker.state === 'half-open' || breaker.failures >= CONFIG.BREAKER_THRESHOLD) {
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+        }
+    }
+    return breaker.state !== previous ? breaker.state : null;
+}
+
+// 熔断器当前状态（供健康检查与状态页展示）
+export function getBreakerState(name) {
+    const breaker = getBreaker(name);
+    return {
+        state: breaker.state,
+        failures: breaker.failures,
+        lastError: breaker.lastError,
+        retryAt: breaker.state === 'open' ? new Date(breaker.openedAt + CONFIG.BREAKER_COOLDOWN).toISOString() : null,
+    };
+}
@@ -0,0 +1,62 @@
+/**
+ * HBMusic - 搜索缓存存储后端
+ *
+ * 所有后端都以内存 Map 作为工作集，接口与 Map 一致（get / set / delete / keys / size / clear），
+ * 另提供 flush() 把数据落盘：
+ * - memory: 纯内存，不占磁盘空间，容器重启后自动清空
+ * - file:   启动时从 JSON 文件恢复，写入后延迟批量落盘，重启后缓存仍然有效
+ */
+
+import { readJsonSnapshot, writeJsonAtomic, createDebouncedFlush } from './persist.js';
+
+function createMemoryStore() {
+    const map = new Map();
+    return {
+        get: (key) => map.get(key),
+        set: (key, entry) => { map.set(key, entry); },
+        delete: (key) => map.delete(key),
+        keys: () => map.keys(),
+        get size() { return map.size; },
+        clear: () => map.clear(),
+        flush: () => {},
+    };
+}
+
+function createFileStore({ file, log }) {
+    const store = createMemoryStore();
+
+    // 启动时恢复；文件损坏或不存在时从空缓存开始
+    const snapshot = readJsonSnapshot(file, { log, label: '搜索缓存文件' });
+    if (snapshot) {
+        for (const [key, entry] of snapshot.entries || []) store.set(key, entry);
+        log.info({ file, size: store.size }, '搜索缓存已从磁盘恢复');
+    }
+
+    const { schedule: scheduleFlush, flush } = createDebouncedFlush(() => {
+        const entries = [...store.keys()].map(key => [key, store.get(key)]);
+        writeJsonAtomic(file, { version: 1, entries }, { log, label: '搜索缓存' });
+    });
+
+    return {
+        ...store,
+        get size() { return store.size; },
+        set: (key, entry) => { store.set(key, entry); scheduleFlush(); },
+        delete: (key) => { const deleted = store.delete(key); if (deleted) scheduleFlush(); return deleted; },
+        clear: () => { store.clear(); scheduleFlush(); },
+        flush,
+    };
+}
+
+const BACKENDS = {
+    memory: createMemoryStore,
+    file: createFileStore,
+};
+
+export function createCacheStore(backend, options) {
+    const create = BACKENDS[backend];
+    if (!create) {
+        options.log.warn({ backend }, '未知的缓存后端，使用内存缓存');
+        return createMemoryStore();
+    }
+    return create(options);
+}
@@ -0,0 +1,150 @@
+/**
+ * HBMusic - 配置
+ *
+ * 所有配置均来自环境变量，启动时读取一次
+ */
+
+import { normalizeQuality } from './quality.js';
+import { LYRIC_TRACK_MODES } from './lrc.js';
+
+// ============= 配置 =============
+export const CONFIG = {
+    PORT: parseInt(process.env.PORT || '3000'),
+    HOST: process.env.HOST || '0.0.0.0',
+    BASE_URL: process.env.BASE_URL || 'http://localhost:3000',
+    // 最大重试次数
+    MAX_RETRIES: parseInt(process.env.MAX_RETRIES || '2'),
+    // 上游请求超时（毫秒）- Lucky API 响应较慢，需要较长超时
+    UPSTREAM_TIMEOUT: parseInt(process.env.UPSTREAM_TIMEOUT || '15000'),
+    // 上游调度策略：sequential 依次尝试；hedged 低优先级上游延迟 HEDGE_DELAY 毫秒后并行启动（0 为同时启动）
+    SEARCH_STRATEGY: process.env.SEARCH_STRATEGY === 'hedged' ? 'hedged' : 'sequential',
+    HEDGE_DELAY: parseInt(process.env.HEDGE_DELAY || '2000'),
+    // 对冲模式下高优先级上游启动后最多等待的毫秒数，超时后采用已成功的低优先级结果（0 为一直等到其返回）
+    HEDGE_TIMEOUT: parseInt(process.env.HEDGE_TIMEOUT || '5000'),
+    // 熔断：连续失败 BREAKER_THRESHOLD 次后跳过该上游（0 为关闭），BREAKER_COOLDOWN 毫秒后放行一次探测
+    BREAKER_THRESHOLD: parseInt(process.env.BREAKER_THRESHOLD || '3'),
+    BREAKER_COOLDOWN: parseInt(process.env.BREAKER_COOLDOWN || '30000'),
+    // 搜索缓存：memory（重启清空）或 file（落盘到 CACHE_FILE，重启后恢复）
+    CACHE_BACKEND: process.env.CACHE_BACKEND || 'memory',
+    CACHE_FILE: process.env.CACHE_FILE || './data/search-cache.json',
+    // 缓存有效期（毫秒）与最大条目数
+    CACHE_TTL: parseInt(process.env.CACHE_TTL || '3600000'),
+    CACHE_MAX_SIZE: parseInt(process.env.CACHE_MAX_SIZE || '200'),
+    // 过期后仍可先返回旧数据并后台刷新的时长（毫秒，0 为关闭）
+    CACHE_STALE_TTL: parseInt(process.env.CACHE_STALE_TTL || '3600000'),
+    // "无结果"的缓存时长（毫秒，0 为关闭）
+    CACHE_NEGATIVE_TTL: parseInt(process.env.CACHE_NEGATIVE_TTL || '300000'),
+    // 播放 / 歌词链接签名（见 signing.js）：设置 URL_SIGN_SECRET 后默认 enforce，迁移期可设为 grace
+    URL_SIGN_SECRET: process.env.URL_SIGN_SECRET || '',
+    URL_SIGN_MODE: !process.env.URL_SIGN_SECRET ? 'off'
+        : (['enforce', 'grace', 'off'].includes(process.env.URL_SIGN_MODE) ? process.env.URL_SIGN_MODE : 'enforce'),
+    // 签名链接有效期（秒），应长于搜索缓存的 CACHE_TTL + CACHE_STALE_TTL
+    URL_SIGN_TTL: parseInt(process.env.URL_SIGN_TTL || '604800'),
+    // 部署在反向代理之后时填写代理的 IP 或 IPv4 网段（逗号分隔），只采信来自这些地址的 X-Real-IP / X-Forwarded-For；
+    // 旧配置 true 视为本机与内网地址
+    TRUST_PROXY: (process.env.TRUST_PROXY === 'true' ? '127.0.0.1,::1,10.0.0.0/8,172.16.0.0/12,192.168.0.0/16'
+        : process.env.TRUST_PROXY === 'false' ? '' : process.env.TRUST_PROXY || '').split(',').map(s => s.trim()).filter(Boolean),
+    // 限流（令牌桶）：rate 为每分钟补充的次数，burst 为允许的突发次数
+    RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+    RATE_LIMIT_SONG_RATE: parseFloat(process.env.RATE_LIMIT_SONG_RATE || '20'),
+    RATE_LIMIT_SONG_BURST: parseInt(process.env.RATE_LIMIT_SONG_BURST || '10'),
+    RATE_LIMIT_STREAM_RATE: parseFloat(process.env.RATE_LIMIT_STREAM_RATE || '120'),
+    RATE_LIMIT_STREAM_BURST: parseInt(process.env.RATE_LIMIT_STREAM_BURST || '60'),
+    // 带微信用户标识的点歌请求，在 IP 限流之外再按用户限流
+    RATE_LIMIT_USER_RATE: parseFloat(process.env.RATE_LIMIT_USER_RATE || '10'),
+    RATE_LIMIT_USER_BURST: parseInt(process.env.RATE_LIMIT_USER_BURST || '5'),
+    // 限流白名单：IP 或 IPv4 网段（如 10.0.0.0/8），逗号分隔
+    RATE_LIMIT_ALLOWLIST: (process.env.RATE_LIMIT_ALLOWLIST || '').split(',').map(s => s.trim()).filter(Boolean),
+    // 品牌签名：模板支持 {site} 与 {baseUrl}，设为空字符串即关闭
+    BRAND_SITE: process.env.BRAND_SITE || new URL(process.env.BASE_URL || 'http://localhost:3000').host,
+    BRAND_URL: process.env.BRAND_URL ?? '{baseUrl}',
+    BRAND_SINGER_SUFFIX: process.env.BRAND_SINGER_SUFFIX ?? ' · {site}',
+    BRAND_LYRIC_TAG: process.env.BRAND_LYRIC_TAG ?? '{site}',
+    // 歌词推广行，用 | 分隔多行
+    BRAND_LYRIC_LINES: (process.env.BRAND_LYRIC_LINES ?? '🎵 浏览器输入 {site}|🎵 即可免费享受全网点歌服务').split('|').map(s => s.trim()).filter(Boolean),
+    // 音频磁盘缓存：/fallback-stream 播放过的音频落盘，总大小上限 AUDIO_CACHE_MAX_SIZE（MB），超出按 LRU 淘汰
+    AUDIO_CACHE_ENABLED: process.env.AUDIO_CACHE_ENABLED === 'true',
+    AUDIO_CACHE_DIR: process.env.AUDIO_CACHE_DIR || './data/audio',
+    AUDIO_CACHE_MAX_SIZE: parseInt(process.env.AUDIO_CACHE_MAX_SIZE || '1024'),
+    // 封面缓存：/cover 代理过的封面落盘，总大小上限 COVER_CACHE_MAX_SIZE（MB，0 为关闭）
+    COVER_CACHE_DIR: process.env.COVER_CACHE_DIR || './data/covers',
+    COVER_CACHE_MAX_SIZE: parseInt(process.env.COVER_CACHE_MAX_SIZE || '100'),
+    // /cover?url= 允许代理的图片域名（含子域名），已配置上游的域名自动允许
+    COVER_PROXY_HOSTS: (process.env.COVER_PROXY_HOSTS || 'qq.com,gtimg.cn,qpic.cn,126.net,kuwo.cn').split(',').map(s => s.trim()).filter(Boolean),
+    // 管理接口（见 admin.js）：令牌为 name:token，逗号分隔，为空时不开启
+    ADMIN_TOKENS: (process.env.ADMIN_TOKENS || '').split(',').map(s => s.trim()).filter(Boolean),
+    ADMIN_PREFIX: '/' + (process.env.ADMIN_PREFIX || '_admin').replace(/^\/+|\/+$/g, ''),
+    // 上游健康探测：后台探测间隔与单次探测超时（毫秒）
+    HEALTH_CHECK_INTERVAL: parseInt(process.env.HEALTH_CHECK_INTERVAL || '60000'),
+    HEALTH_CHECK_TIMEOUT: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '8000'),
+    // 可用率历史：保留天数与落盘文件（为空时只保存在内存中）
+    HEALTH_HISTORY_DAYS: parseInt(process.env.HEALTH_HISTORY_DAYS || '7'),
+    HEALTH_HISTORY_FILE: process.env.HEALTH_HISTORY_FILE ?? './data/health-history.json',
+    // 点歌统计：事件文件目录（为空时只在内存中统计）、保留天数，启动时预热本周热门前 N 首（0 为关闭）
+    ANALYTICS_DIR: process.env.ANALYTICS_DIR ?? './data/analytics',
+    ANALYTICS_RETENTION_DAYS: parseInt(process.env.ANALYTICS_RETENTION_DAYS || '30'),
+    ANALYTICS_PREWARM: parseInt(process.env.ANALYTICS_PREWARM || '0'),
+    // Prometheus 指标：METRICS_PORT 非 0 时在独立端口提供 /metrics（不经过主服务的反向代理）
+    METRICS_ENABLED: process.env.METRICS_ENABLED !== 'false',
+    METRICS_TOKEN: process.env.METRICS_TOKEN || '',
+    METRICS_PORT: parseInt(process.env.METRICS_PORT || '0'),
+    METRICS_HOST: process.env.METRICS_HOST || process.env.HOST || '0.0.0.0',
+    // 公告开关（true 显示，false 隐藏）
+    SHOW_ANNOUNCEMENT: process.env.SHOW_ANNOUNCEMENT === 'true',
+    // 公告内容（可自定义）
+    ANNOUNCEMENT_TEXT: process.env.ANNOUNCEMENT_TEXT || '系统升级中 · 正在为您打造更稳定、更优质的点歌体验，近期服务可能有波动，敬请谅解',
+    // 默认音质（128k / 320k / flac），可被 ?quality= 覆盖
+    BITRATE: normalizeQuality(process.env.BITRATE) || '320k',
+    // 翻译 / 音译歌词的默认合并方式：none 不附加，merge 插在原文之后，only 替换原文（目前仅网易云提供）
+    LYRIC_TRANSLATION: LYRIC_TRACK_MODES.includes(process.env.LYRIC_TRANSLATION) ? process.env.LYRIC_TRANSLATION : 'none',
+    LYRIC_ROMANIZATION: LYRIC_TRACK_MODES.includes(process.env.LYRIC_ROMANIZATION) ? process.env.LYRIC_ROMANIZATION : 'none',
+    // 音源优先级（逗号分隔的上游 name 或别名），为空时使用 UPSTREAMS 默认顺序
+    SOURCE_PRIORITY: process.env.SOURCE_PRIORITY || '',
+    // 自定义适配器模块（逗号分隔的文件路径，启动时加载）
+    ADAPTER_MODULES: (process.env.ADAPTER_MODULES || '').split(',').map(s => s.trim()).filter(Boolean),
+};
+
+// ============= 多上游配置 =============
+// 按优先级排序，依次尝试；type 对应 adapters/ 中注册的适配器，aliases 为 ?source= 可用的别名
+export const UPSTREAMS = [
+    // 主上游：Lucky API - 直接返回真实播放链接，无需代理
+    {
+        name: 'lucky',
+        type: 'lucky',
+        aliases: ['qq'],
+        enabled: true,
+        url: process.env.LUCKY_API || 'https://cer.luckying.love/music/Lucky.php',
+    },
+    // 兜底上游：网易云音乐（Meting 搜索 + v.iarc.top 获取资源）
+    {
+        name: 'netease',
+        type: 'meting',
+        enabled: true,
+        // v.iarc.top 内置 VIP Cookie，支持付费歌曲
+        url: process.env.METING_API || 'https://v.iarc.top',
+    },
+    // 酷我音乐：默认不参与搜索（KUWO_ENABLED=true 开启），rid 播放/歌词始终可用
+    {
+        name: 'kuwo',
+        type: 'kuwo',
+        enabled: process.env.KUWO_ENABLED === 'true',
+        url: process.env.KUWO_API || 'https://kw-api.cenguigui.cn',
+        // 按 rid 查询歌曲信息
+        infoUrl: process.env.KUWO_INFO_API || 'http://m.kuwo.cn/newh5/singles/songinfoandlrc',
+    },
+    // QQ 音乐（qq-music-api-v2）：配置 QQMUSIC_API 后可用，默认不参与搜索（QQMUSIC_ENABLED=true 开启），
+    // mid / 旧版 id 播放与歌词始终可用
+    ...(process.env.QQMUSIC_API ? [{
+        name: 'qqmusic',
+        type: 'qqmusic',
+        enabled: process.env.QQMUSIC_ENABLED === 'true',
+        url: process.env.QQMUSIC_API.replace(/\/+$/, ''),
+        endpoints: {
+            search: process.env.QQMUSIC_SEARCH_PATH || '/search',
+            url: process.env.QQMUSIC_URL_PATH || '/song/url',
+            lyric: process.env.QQMUSIC_LYRIC_PATH || '/lyric',
+            // 按 mid 获取歌曲信息（/song?mid=），上游不支持时留空
+            detail: process.env.QQMUSIC_DETAIL_PATH || '',
+        },
+    }] : []),
+];
@@ -0,0 +1,180 @@
+/**
+ * HBMusic - 磁盘文件缓存（音频、封面）
+ *
+ * 反复请求的文件落盘保存，后续请求直接从磁盘读取，不再回源：
+ * - 写入时先写临时文件，完整写入后才加入缓存（音频边转发边写入）
+ * - 总大小超过上限时按最近最少使用（LRU）淘汰
+ * - 索引（index.json）记录各文件的元数据与访问顺序，延迟批量落盘
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { readJsonSnapshot, writeJsonAtomic, createDebouncedFlush } from './persist.js';
+
+const INDEX_FILE = 'index.json';
+// 缓存文件名：<sha1>.bin，写入中为 <sha1>.bin.part
+const CACHE_FILE = /^[0-9a-f]{40}\.bin(\.part)?$/;
+// 已被缓存实例占用的目录：两个缓存共用目录时会共用索引并互相清理对方的文件
+const usedDirs = new Set();
+
+// label 为日志中的缓存名称，如「音频缓存」
+export function createDiskCache({ dir, maxSize, log, label }) {
+    // key → { file, size, contentType, etag, lastModified, quality }，Map 的插入顺序即 LRU 顺序
+    const entries = new Map();
+    const filling = new Set();
+    const stats = { hits: 0, misses: 0, fills: 0, evictions: 0 };
+    const indexFile = path.join(dir, INDEX_FILE);
+    let totalSize = 0;
+
+    const resolvedDir = path.resolve(dir);
+    if (usedDirs.has(resolvedDir)) throw new Error(`${label}目录 ${dir} 已被其他缓存使用，请为每个缓存配置单独的目录`);
+    usedDirs.add(resolvedDir);
+    fs.mkdirSync(dir, { recursive: true });
+
+    // 启动时恢复索引；索引损坏或不存在时从空缓存开始
+    const snapshot = readJsonSnapshot(indexFile, { log, label: `${label}索引` });
+    if (snapshot) {
+        for (const [key, entry] of snapshot.entries || []) {
+            if (!fs.existsSync(path.join(dir, entry.file))) continue;
+            entries.set(key, entry);
+            totalSize += entry.size;
+        }
+        log.info({ dir, files: entries.size, size: totalSize }, `${label}已从磁盘恢复`);
+    }
+
+    // 清理索引之外的残留缓存文件（如进程退出时未写完的临时文件）；只处理本缓存格式的文件，
+    // 目录误配为共享目录（如 ./data）时不会误删其他数据
+    const known = new Set([...entries.values()].map(entry => entry.file));
+    for (const name of fs.readdirSync(dir)) {
+        if (CACHE_FILE.test(name) && !known.has(name)) fs.rmSync(path.join(dir, name), { force: true });
+    }
+
+    // 访问顺序变化频繁，索引延迟批量落盘
+    const { schedule: scheduleFlush, flush } = createDebouncedFlush(() =>
+        writeJsonAtomic(indexFile, { version: 1, entries: [...entries] }, { log, label: `${label}索引` }));
+
+    function evict() {
+        while (totalSize > maxSize && entries.size > 0) {
+            const [key, entry] = entries.entries().next().value;
+            entries.delete(key);
+            totalSize -= entry.size;
+            stats.evictions++;
+            fs.rm(path.join(dir, entry.file), { force: true }, () => {});
+            log.info({ key, size: entry.size }, `${label}已淘汰`);
+        }
+    }
+
+    return {
+        // 命中时返回 { ...元数据, path } 并移到 LRU 末尾
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                stats.misses++;
+                return null;
+            }
+            entries.delete(key);
+            entries.set(key, entry);
+            stats.hits++;
+            scheduleFlush();
+            return { ...entry, path: path.join(dir, entry.file) };
+        },
+
+        // 开始写入一个文件，返回 { write(chunk), commit(), abort() }；
+        // 已缓存、正在被其他请求写入或文件超过上限时返回 null。
+        // meta.expectedSize 为完整文件大小（未知时为 0），写入字节数不符时放弃
+        createFill(key, meta) {
+            if (entries.has(key) || filling.has(key) || meta.expectedSize > maxSize) return null;
+            filling.add(key);
+
+            const file = `${crypto.createHash('sha1').update(key).digest('hex')}.bin`;
+            const tmpPath = path.join(dir, `${file}.part`);
+            const out = fs.createWriteStream(tmpPath);
+            let written = 0;
+            let done = false;
+
+            function abort() {
+                if (done) return;
+                done = true;
+                filling.delete(key);
+                out.destroy();
+                fs.rm(tmpPath, { force: true }, () => {});
+            }
+
+            out.on('error', (e) => {
+                log.warn({ key, error: e.message }, `${label}写入失败`);
+                abort();
+            });
+
+            return {
+                write(chunk) {
+                    if (done) return;
+                    written += chunk.length;
+                    if (written > maxSize) return abort();
+                    out.write(chunk);
+                },
+                commit() {
+                    if (done) return;
+                    if (meta.expectedSize && written !== meta.expectedSize) return abort();
+                    done = true;
+                    out.end(() => {
+                        fs.rename(tmpPath, path.join(dir, file), (e) => {
+                            filling.delete(key);
+                            if (e) {
+                                log.warn({ key, error: e.message }, `${label}写入失败`);
+                                fs.rm(tmpPath, { force: true }, () => {});
+                                return;
+                            }
+                            entries.set(key, {
+                                file,
+                                size: written,
+                                contentType: meta.contentType,
+                                etag: meta.etag || null,
+                                lastModified: meta.lastModified || null,
+                                quality: meta.quality || null,
+                            });
+                            totalSize += written;
+                            stats.fills++;
+                            log.info({ key, size: written }, `${label}已写入`);
+                            evict();
+                            scheduleFlush();
+                        });
+                    });
+                },
+                abort,
+            };
+        },
+
+        getStats() {
+            const lookups = stats.hits + stats.misses;
+            return {
+                ...stats,
+                files: entries.size,
+                size: totalSize,
+                maxSize,
+                hitRate: lookups ? Number((stats.hits / lookups).toFixed(4)) : 0,
+            };
+        },
+
+        flush,
+    };
+}
+
+// 解析单段 Range 请求头：无效或多段时返回 undefined（按完整文件响应），超出范围时返回 null（416）
+export function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (!match[1] && !match[2])) return undefined;
+
+    let start;
+    let end;
+    if (!match[1]) {
+        // bytes=-500：最后 500 字节
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    }
+    if (start >= size || start > end) return null;
+    return { start, end };
+}
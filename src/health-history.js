@@ -0,0 +1,99 @@
+/**
+ * HBMusic - 上游可用率历史
+ *
+ * 按 15 分钟分桶累计每个上游的探测次数与可用次数，另记录总体状态（ok / hybrid / fallback / error）的变化，
+ * 保留最近 days 天。file 不为空时每次记录后落盘，重启后历史仍在。
+ */
+
+import { readJsonSnapshot, writeJsonAtomic } from './persist.js';
+
+export const BUCKET_MS = 15 * 60 * 1000;
+
+export function createHealthHistory({ file, days, log }) {
+    const retention = days * 24 * 60 * 60 * 1000;
+    // 上游名 → Map(分桶起点 → { up, total })
+    const buckets = new Map();
+    // 总体状态变化 [{ time, from, to, text }]，按时间先后排列
+    let incidents = [];
+    let lastStatus = null;
+
+    const snapshot = file && readJsonSnapshot(file, { log, label: '可用率历史文件' });
+    if (snapshot) {
+        for (const [name, entries] of Object.entries(snapshot.upstreams || {})) {
+            buckets.set(name, new Map(entries.map(([start, up, total]) => [start, { up, total }])));
+        }
+        incidents = snapshot.incidents || [];
+        lastStatus = snapshot.lastStatus || null;
+        log.info({ file, upstreams: buckets.size, incidents: incidents.length }, '可用率历史已从磁盘恢复');
+    }
+
+    function prune(now) {
+        const cutoff = now - retention;
+        for (const series of buckets.values()) {
+            for (const start of series.keys()) {
+                if (start + BUCKET_MS <= cutoff) series.delete(start);
+            }
+        }
+        incidents = incidents.filter(i => i.time > cutoff);
+    }
+
+    // 每轮探测才记录一次，直接落盘
+    function flush() {
+        if (!file) return;
+        const upstreams = Object.fromEntries([...buckets].map(([name, series]) =>
+            [name, [...series].map(([start, { up, total }]) => [start, up, total])]));
+        writeJsonAtomic(file, { version: 1, upstreams, incidents, lastStatus }, { log, label: '可用率历史' });
+    }
+
+    // 记录一轮探测：upstreams 为 [{ name, status }]，status / text 为总体状态
+    function record({ time, upstreams, status, text }) {
+        const start = Math.floor(time / BUCKET_MS) * BUCKET_MS;
+        for (const upstream of upstreams) {
+            if (!buckets.has(upstream.name)) buckets.set(upstream.name, new Map());
+            const series = buckets.get(upstream.name);
+            const bucket = series.get(start) || { up: 0, total: 0 };
+            bucket.total++;
+            if (upstream.status !== 'offline') bucket.up++;
+            series.set(start, bucket);
+        }
+
+        if (lastStatus && status !== lastStatus) incidents.push({ time, from: lastStatus, to: status, text });
+        lastStatus = status;
+
+        prune(time);
+        flush();
+    }
+
+    // 最近 cells 个分桶的可用率（ratio 为 null 表示该时段没有探测数据），按时间先后排列
+    function getBars(name, cells, now = Date.now()) {
+        const series = buckets.get(name) || new Map();
+        const current = Math.floor(now / BUCKET_MS) * BUCKET_MS;
+        return Array.from({ length: cells }, (_, i) => {
+            const start = current - (cells - 1 - i) * BUCKET_MS;
+            const bucket = series.get(start);
+            return { start, ratio: bucket ? bucket.up / bucket.total : null };
+        });
+    }
+
+    // 最近 periodMs 内的可用率，没有数据时为 null
+    function getUptime(name, periodMs, now = Date.now()) {
+        let up = 0;
+        let total = 0;
+        for (const [start, bucket] of buckets.get(name) || []) {
+            if (start + BUCKET_MS <= now - periodMs) continue;
+            up += bucket.up;
+            total += bucket.total;
+        }
+        return total ? up / total : null;
+    }
+
+    // 状态变化记录，最新的在前；duration 为该状态持续的毫秒数（仍在持续时为 null）
+    function getIncidents() {
+        return incidents.map((incident, i) => ({
+            ...incident,
+            duration: incidents[i + 1] ? incidents[i + 1].time - incident.time : null,
+        })).reverse();
+    }
+
+    return { record, getBars, getUptime, getIncidents, flush };
+}
@@ -0,0 +1,165 @@
+/**
+ * HBMusic - 上游健康探测
+ *
+ * 后台按 HEALTH_CHECK_INTERVAL 定时探测所有参与搜索的上游（由各适配器的 probe 实现），
+ * 各上游并行探测、互不阻塞；请求只读取最近一次的结果，不再等待探测。
+ *
+ * 每个上游记录：status / label（probe 结果）、latency、lastError、lastCheck、lastSuccess。
+ * 总体状态由当前能提供服务的上游按优先级推出：ok（首选音源可用）/ hybrid（QQ 音乐混合模式）/
+ * fallback（由后备音源兜底）/ error（维护中）；/health/ready 与状态页使用同一判定。
+ */
+
+import { CONFIG, UPSTREAMS } from './config.js';
+import { getAdapter } from './adapters/index.js';
+import { getBreakerState } from './breaker.js';
+
+// 上游名 → 最近一次探测结果
+const upstreamStates = new Map();
+let overall = { status: 'unknown', text: '服务启动中', color: '#FF9500' };
+let lastCheck = 0;
+let running = null;
+let timer = null;
+// 每轮探测完成后的回调（如记录可用率历史）
+const listeners = [];
+
+async function probeUpstream(upstream) {
+    const adapter = getAdapter(upstream.type);
+    const previous = upstreamStates.get(upstream.name);
+    const state = {
+        name: upstream.name,
+        type: upstream.type,
+        title: adapter?.label || upstream.name,
+        status: 'offline',
+        label: '离线',
+        latency: null,
+        lastError: null,
+        lastCheck: new Date().toISOString(),
+        lastSuccess: previous?.lastSuccess || null,
+    };
+
+    if (!adapter?.probe) {
+        state.lastError = '适配器不支持探测';
+        return state;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG.HEALTH_CHECK_TIMEOUT);
+    const startedAt = Date.now();
+    try {
+        Object.assign(state, await adapter.probe(upstream, controller.signal));
+        if (state.status === 'offline') state.lastError = '上游响应异常';
+    } catch (e) {
+        state.lastError = e.name === 'AbortError' ? '探测超时' : e.message;
+    } finally {
+        clearTimeout(timeout);
+        state.latency = Date.now() - startedAt;
+    }
+
+    if (state.status !== 'offline') state.lastSuccess = state.lastCheck;
+    return state;
+}
+
+// 立即探测一轮；已有探测进行中时复用同一轮结果
+export function runHealthCheck(log) {
+    if (running) return running;
+
+    running = (async () => {
+        const results = await Promise.all(UPSTREAMS.filter(u => u.enabled).map(probeUpstream));
+        for (const state of results) {
+            const previous = upstreamStates.get(state.name);
+            if (previous && (previous.status === 'offline') !== (state.status === 'offline')) {
+                log.warn({ upstream: state.name, status: state.status, error: state.lastError }, '上游健康状态变化');
+            }
+            upstreamStates.set(state.name, state);
+        }
+
+        const summary = summarize(UPSTREAMS.map(describeUpstream));
+        if (lastCheck && summary.status !== overall.status) {
+            log.warn({ from: overall.status, to: summary.status }, '服务总体状态变化');
+        }
+        overall = summary;
+        lastCheck = Date.now();
+
+        for (const listener of listeners) {
+            try {
+                listener({ time: lastCheck, upstreams: results, status: summary.status, text: summary.text });
+            } catch (e) {
+                log.error({ error: e.message }, '健康探测回调失败');
+            }
+        }
+    })().finally(() => { running = null; });
+
+    return running;
+}
+
+// 注册探测完成回调，参数 { time, upstreams, status, text }
+export function onHealthCheck(listener) {
+    listeners.push(listener);
+}
+
+// 启动后台定时探测（立即执行一轮，不阻塞启动）
+export function startHealthProber(log) {
+    if (timer) return;
+    runHealthCheck(log).catch(e => log.error({ error: e.message }, '健康探测失败'));
+    timer = setInterval(() => {
+        runHealthCheck(log).catch(e => log.error({ error: e.message }, '健康探测失败'));
+    }, CONFIG.HEALTH_CHECK_INTERVAL);
+    timer.unref();
+}
+
+// 单个上游的最近状态，附带实时熔断状态（熔断状态变化比探测周期快，不随探测结果缓存）
+function describeUpstream(upstream) {
+    const state = upstreamStates.get(upstream.name) || {
+        name: upstream.name, type: upstream.type, title: getAdapter(upstream.type)?.label || upstream.name,
+        status: 'unknown', label: '未探测', latency: null, lastError: null, lastCheck: null, lastSuccess: null,
+    };
+    return { ...state, enabled: upstream.enabled, breaker: getBreakerState(upstream.name) };
+}
+
+function isAvailable(upstream) {
+    return upstream.status !== 'offline' && upstream.status !== 'unknown' && upstream.breaker.state !== 'open';
+}
+
+// 能实际提供服务：参与搜索、最近一次探测可用且未熔断；
+// QQ 音乐混合模式的播放链接来自网易云，网易云不可用时混合模式也无法提供服务
+function canServe(upstream, upstreams) {
+    if (!upstream.enabled || !isAvailable(upstream)) return false;
+    if (upstream.status !== 'hybrid') return true;
+    const netease = upstreams.find(u => u.type === 'meting');
+    return Boolean(netease && isAvailable(netease));
+}
+
+// 判定总体状态和当前音源模式：按优先级取第一个能提供服务的上游
+function summarize(upstreams) {
+    const enabled = upstreams.filter(u => u.enabled);
+    const serving = enabled.find(u => canServe(u, upstreams));
+
+    if (!serving) {
+        return { status: 'error', text: '服务维护中', color: '#FF3B30' };
+    }
+    if (serving.status === 'hybrid') {
+        return { status: 'hybrid', text: '服务在线 · 混合模式', color: '#07C160' };
+    }
+    return { status: serving === enabled[0] ? 'ok' : 'fallback', text: `服务在线 · ${serving.title}`, color: '#07C160' };
+}
+
+// 状态页与管理接口使用的健康数据（只包含参与搜索的上游）；
+// 总体状态按实时熔断状态重新判定，首轮探测完成前保持「服务启动中」
+export function getHealth() {
+    const upstreams = UPSTREAMS.map(describeUpstream);
+    return {
+        ...(lastCheck ? summarize(upstreams) : overall),
+        upstreams: upstreams.filter(u => u.enabled),
+        lastCheck,
+    };
+}
+
+// /health/upstreams：所有上游（含停用的）的详细状态
+export function getUpstreamHealth() {
+    return UPSTREAMS.map(describeUpstream);
+}
+
+// 至少一个上游可用时就绪；尚未完成首轮探测时视为未就绪
+export function isReady() {
+    return lastCheck > 0 && summarize(UPSTREAMS.map(describeUpstream)).status !== 'error';
+}
@@ -4,47 +4,37 @@
  * 多上游架构：支持降级兜底
  * - 主上游: Lucky API（QQ 音乐）
  * - 兜底上游: 网易云音乐（Meting + v.iarc.top）
+ * - 各音源以适配器形式注册（见 adapters/），服务端只通过注册表调用
  */
 
+import crypto from 'crypto';
+import fs from 'fs';
+import { Readable, Transform, pipeline } from 'stream';
 import Fastify from 'fastify';
 import cors from '@fastify/cors';
-import crypto from 'crypto';
-
-// ============= 配置 =============
-const CONFIG = {
-    PORT: parseInt(process.env.PORT || '3000'),
-    HOST: process.env.HOST || '0.0.0.0',
-    BASE_URL: process.env.BASE_URL || 'http://localhost:3000',
-    // 最大重试次数
-    MAX_RETRIES: parseInt(process.env.MAX_RETRIES || '2'),
-    // 上游请求超时（毫秒）- Lucky API 响应较慢，需要较长超时
-    UPSTREAM_TIMEOUT: parseInt(process.env.UPSTREAM_TIMEOUT || '15000'),
-    // 公告开关（true 显示，false 隐藏）
-    SHOW_ANNOUNCEMENT: process.env.SHOW_ANNOUNCEMENT === 'true',
-    // 公告内容（可自定义）
-    ANNOUNCEMENT_TEXT: process.env.ANNOUNCEMENT_TEXT || '系统升级中 · 正在为您打造更稳定、更优质的点歌体验，近期服务可能有波动，敬请谅解',
-};
-
-// ============= 多上游配置 =============
-// 按优先级排序，依次尝试
-const UPSTREAMS = [
-    // 主上游：Lucky API - 直接返回真实播放链接，无需代理
-    {
-        name: 'lucky',
-        type: 'lucky',
-        url: process.env.LUCKY_API || 'https://cer.luckying.love/music/Lucky.php',
-    },
-    // 兜底上游：网易云音乐（Meting 搜索 + v.iarc.top 获取资源）
-    {
-        name: 'netease',
-        type: 'meting',
-        // v.iarc.top 内置 VIP Cookie，支持付费歌曲
-        url: process.env.METING_API || 'https://v.iarc.top',
-    },
-];
+import { CONFIG, UPSTREAMS } from './config.js';
+import { getAdapter, findAdapterByParam, getUpstreamsFor, loadAdapterModules } from './adapters/index.js';
+import { parseSourceList, applySourcePriority, planUpstreams, findUpstreamsBySource } from './sources.js';
+import { normalizeQuality, resolveStreamWithQuality } from './quality.js';
+import { rankCandidates } from './ranking.js';
+import { runByPriority } from './strategy.js';
+import { canRequest, recordOutcome } from './breaker.js';
+import { createCacheStore } from './cache-store.js';
+import { createRateLimiter, matchesIp } from './rate-limit.js';
+import { brandSinger, unbrandSinger, brandLyric, getAdvertisedUrl } from './branding.js';
+import { parseLrc, toLrc, serializeLrc, LYRIC_TRACK_MODES } from './lrc.js';
+import { LYRIC_FORMATS, renderLyric } from './lyric-format.js';
+import { createDiskCache, parseRange } from './disk-cache.js';
+import { verifySignature } from './signing.js';
+import adminRoutes, { isAdminEnabled } from './admin.js';
+import { createCounter, createHistogram, addCollector, renderMetrics } from './metrics.js';
+import { startHealthProber, onHealthCheck, getHealth, getUpstreamHealth, isReady } from './health.js';
+import { createHealthHistory, BUCKET_MS } from './health-history.js';
+import { createAnalytics, ANALYTICS_PERIODS } from './analytics.js';
 
 // ============= Fastify 实例 =============
 const app = Fastify({
+    trustProxy: CONFIG.TRUST_PROXY.length ? CONFIG.TRUST_PROXY : false,
     logger: {
         level: process.env.LOG_LEVEL || 'info',
         transport: {
@@ -60,8 +50,12 @@ await app.register(cors, { origin: true });
 // ============= 安全防护 =============
 const SENSITIVE_PATHS = ['/admin', '/config', '/system', '/manage', '/backend', '/.env', '/.git', '/wp-'];
 
+const ADMIN_PREFIX = CONFIG.ADMIN_PREFIX.toLowerCase();
+
 app.addHook('onRequest', async (request, reply) => {
     const path = request.url.split('?')[0].toLowerCase();
+    // 管理接口挂在敏感路径下时（如 ADMIN_PREFIX=/admin）放行，由令牌鉴权
+    if (isAdminEnabled() && (path === ADMIN_PREFIX || path.startsWith(`${ADMIN_PREFIX}/`))) return;
     if (SENSITIVE_PATHS.some(prefix => path.startsWith(prefix))) {
         request.log.warn({ path, ip: request.ip }, '敏感路径探测被拦截');
         return reply.code(403).send('Forbidden');
@@ -82,105 +76,117 @@ const BROWSER_BLACKLIST = [
     'Sogou', 'Quark/', 'LBBROWSER', 'Maxthon/', '2345Explorer/', 'HuaweiBrowser/'
 ];
 
-// ============= 服务健康自检 =============
-let cachedHealthStatus = { status: 'ok', text: '服务在线 · 运行正常', color: '#07C160', upstreams: [], lastCheck: 0 };
-const HEALTH_CHECK_INTERVAL = 60000;
+// ============= 限流 =============
+// 点歌接口与音频代理分开计数：播放器拖动进度会产生较多音频请求
+const RATE_LIMITERS = {
+    song: createRateLimiter({ rate: CONFIG.RATE_LIMIT_SONG_RATE, burst: CONFIG.RATE_LIMIT_SONG_BURST }),
+    stream: createRateLimiter({ rate: CONFIG.RATE_LIMIT_STREAM_RATE, burst: CONFIG.RATE_LIMIT_STREAM_BURST }),
+};
+// 点歌接口另按微信用户计数：wxid 由客户端自报，只能在 IP 限流之外再加一道，不能替代 IP 限流
+const USER_RATE_LIMITERS = {
+    song: createRateLimiter({ rate: CONFIG.RATE_LIMIT_USER_RATE, burst: CONFIG.RATE_LIMIT_USER_BURST }),
+};
+const RATE_LIMITED_ROUTES = {
+    '/': 'song',
+    '/api/music/url': 'song',
+    '/lyric': 'song',
+    // 按 ID 取歌、多候选搜索同样会请求上游并签发播放链接，与点歌共用限额
+    '/song': 'song',
+    '/search': 'song',
+    '/fallback-stream': 'stream',
+};
 
-async function checkServiceHealth() {
-    const now = Date.now();
-    if (now - cachedHealthStatus.lastCheck < HEALTH_CHECK_INTERVAL) {
-        return cachedHealthStatus;
+// 客户端 IP：请求直接来自可信代理（TRUST_PROXY）时才使用 Nginx 设置的 X-Real-IP，否则任何人都能伪造
+function getClientIp(request) {
+    const realIp = request.headers['x-real-ip'];
+    if (realIp && matchesIp(CONFIG.TRUST_PROXY, request.socket.remoteAddress)) return String(realIp);
+    return request.ip;
+}
+
+// 微信用户标识（插件可通过 ?wxid= 或 X-WeChat-User 请求头传入），有则额外按用户限流
+function getWechatUser(request) {
+    const user = request.query?.wxid || request.headers['x-wechat-user'];
+    return user ? String(user).substring(0, 64) : null;
+}
+
+app.addHook('onRequest', async (request, reply) => {
+    if (!CONFIG.RATE_LIMIT_ENABLED) return;
+    const group = RATE_LIMITED_ROUTES[request.url.split('?')[0]];
+    if (!group) return;
+
+    const ip = getClientIp(request);
+    const user = getWechatUser(request);
+
+    // 白名单 IP（如插件所在服务器）只免除 IP 限流，带 wxid 的请求仍按用户计数
+    let { allowed, retryAfter } = matchesIp(CONFIG.RATE_LIMIT_ALLOWLIST, ip)
+        ? { allowed: true, retryAfter: 0 }
+        : RATE_LIMITERS[group].take(`ip:${ip}`);
+    if (allowed && user && USER_RATE_LIMITERS[group]) {
+        ({ allowed, retryAfter } = USER_RATE_LIMITERS[group].take(`user:${user}`));
     }
+    if (allowed) return;
 
-    // 真实测试每个上游的歌曲搜索能力
-    const upstreamResults = [];
+    request.log.warn({ ip, user, group, retryAfter }, '请求过于频繁，已限流');
+    reply.header('Retry-After', String(retryAfter));
+    return reply.code(429).send({
+        code: 429,
+        message: `点歌太频繁啦，请 ${retryAfter} 秒后再试 🙏`,
+    });
+});
 
-    for (const upstream of UPSTREAMS) {
-        const result = { name: upstream.name, type: upstream.type, status: 'offline', label: '离线' };
-        try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 8000);
+// ============= 链接签名校验 =============
+const SIGNED_ROUTES = ['/fallback-stream', '/fallback-lyric'];
+const SIGNATURE_ERRORS = {
+    missing: '链接缺少签名，请重新点歌',
+    invalid: '链接签名无效，请重新点歌',
+    expired: '链接已过期，请重新点歌',
+};
 
-            if (upstream.type === 'lucky') {
-                // Lucky API：真实搜索一首歌，检查 music_url 是否为有效链接
-                const res = await fetch(`${upstream.url}?Love=test`, {
-                    signal: controller.signal,
-                    headers: { 'User-Agent': 'HBMusic-HealthCheck/1.0' }
-                });
-                const data = await res.json();
-                clearTimeout(timeout);
+app.addHook('onRequest', async (request, reply) => {
+    if (CONFIG.URL_SIGN_MODE === 'off') return;
+    const path = request.url.split('?')[0];
+    if (!SIGNED_ROUTES.includes(path)) return;
 
-                if (data.code === 200 && data.music_url) {
-                    if (data.music_url.startsWith('http')) {
-                        result.status = 'online';
-                        result.label = '直连可用';
-                    } else {
-                        // 能搜索但链接不可用（付费歌曲）→ 混合模式
-                        result.status = 'hybrid';
-                        result.label = '混合模式';
-                    }
-                }
-            } else if (upstream.type === 'meting') {
-                // 网易云：测试 v.iarc.top 是否可以响应
-                const res = await fetch(`${upstream.url}/?server=netease&type=song&id=186016`, {
-                    signal: controller.signal,
-                    headers: { 'User-Agent': 'HBMusic-HealthCheck/1.0' }
-                });
-                clearTimeout(timeout);
-                if (res.ok) {
-                    result.status = 'online';
-                    result.label = '在线';
-                }
-            } else {
-                const res = await fetch(`${upstream.url}/api/search?keyword=test&num=1`, {
-                    signal: controller.signal,
-                    headers: { 'User-Agent': 'HBMusic-HealthCheck/1.0' }
-                });
-                clearTimeout(timeout);
-                if (res.ok) {
-                    result.status = 'online';
-                    result.label = '在线';
-                }
-            }
-        } catch (e) {
-            // 超时或网络错误，保持 offline
-        }
-        upstreamResults.push(result);
-    }
+    const failure = verifySignature(path, request.query);
+    if (!failure) return;
 
-    // 判定总体状态和当前音源模式
-    const luckyStatus = upstreamResults.find(u => u.type === 'lucky');
-    const neteaseStatus = upstreamResults.find(u => u.type === 'meting');
-
-    let overallText, overallColor, overallStatus;
-
-    if (luckyStatus?.status === 'online') {
-        overallStatus = 'ok';
-        overallText = '服务在线 · QQ音乐';
-        overallColor = '#07C160';
-    } else if (luckyStatus?.status === 'hybrid' && neteaseStatus?.status === 'online') {
-        overallStatus = 'hybrid';
-        overallText = '服务在线 · 混合模式';
-        overallColor = '#07C160';
-    } else if (neteaseStatus?.status === 'online') {
-        overallStatus = 'fallback';
-        overallText = '服务在线 · 网易云';
-        overallColor = '#07C160';
-    } else {
-        overallStatus = 'error';
-        overallText = '服务维护中';
-        overallColor = '#FF3B30';
+    // 迁移期放行未签名的旧链接
+    if (failure === 'missing' && CONFIG.URL_SIGN_MODE === 'grace') {
+        request.log.info({ path }, '未签名链接（迁移期放行）');
+        return;
     }
 
-    cachedHealthStatus = {
-        status: overallStatus,
-        text: overallText,
-        color: overallColor,
-        upstreams: upstreamResults,
-        lastCheck: now,
-    };
+    request.log.warn({ path, failure }, '链接签名校验失败');
+    return reply.code(403).send({ error: SIGNATURE_ERRORS[failure] });
+});
 
-    return cachedHealthStatus;
+// ============= 监控指标 =============
+const httpRequests = createCounter('hbmusic_http_requests_total', 'HTTP 请求数（按路由与状态码）', ['method', 'route', 'status']);
+const upstreamRequests = createCounter('hbmusic_upstream_requests_total', '上游搜索请求数（success / failure / timeout）', ['upstream', 'outcome']);
+const upstreamLatency = createHistogram('hbmusic_upstream_latency_seconds', '上游搜索耗时（秒）', ['upstream']);
+const searchResults = createCounter('hbmusic_search_total', '未命中缓存的点歌搜索结果（ok / not_found / error）', ['result', 'source']);
+const searchFallbacks = createCounter('hbmusic_search_fallback_total', '首选音源之外的音源胜出次数（如网易云兜底）', ['source']);
+const streamBytes = createCounter('hbmusic_stream_bytes_total', '/fallback-stream 转发的音频字节数（cache: hit 磁盘缓存 / miss 上游）', ['cache']);
+
+// 按路由模板统计（/cover 而非带参数的完整 URL），未匹配的请求记为 unmatched
+app.addHook('onResponse', async (request, reply) => {
+    httpRequests.inc({
+        method: request.method,
+        route: request.routeOptions.url || 'unmatched',
+        status: reply.statusCode,
+    });
+});
+
+// /metrics 可设置 METRICS_TOKEN（Authorization: Bearer <token>）保护
+async function sendMetrics(request, reply) {
+    if (CONFIG.METRICS_TOKEN) {
+        const expected = Buffer.from(`Bearer ${CONFIG.METRICS_TOKEN}`);
+        const actual = Buffer.from(request.headers.authorization || '');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return reply.code(401).send({ code: 401, message: '未授权' });
+        }
+    }
+    return reply.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
 }
 
 // UA 验证中间件
@@ -195,8 +201,8 @@ app.addHook('onRequest', async (request, reply) => {
 
     if (isBrowser) {
         request.log.warn({ ua: ua.substring(0, 100) }, '浏览器请求被拒绝');
-        const health = await checkServiceHealth();
-        const html = getStatusPageHTML(health);
+        const health = getHealth();
+        const html = getStatusPageHTML(health, getHealthHistoryReport(health.upstreams));
         return reply.code(200).type('text/html').send(html);
     }
 });
@@ -204,7 +210,55 @@ app.addHook('onRequest', async (request, reply) => {
 // ============= 路由 =============
 
 // 健康检查
-app.get('/health', async () => ({ status: 'ok', timestamp: new Date().toISOString() }));
+// /health、/health/live：进程存活即返回 ok（容器存活检查，上游故障时不应重启容器）
+const sendLive = async () => ({ status: 'ok', timestamp: new Date().toISOString() });
+app.get('/health', sendLive);
+app.get('/health/live', sendLive);
+
+// 就绪检查：至少一个上游可用时返回 200，否则 503
+app.get('/health/ready', async (request, reply) => {
+    const { status } = getHealth();
+    if (!isReady()) return reply.code(503).send({ status: 'unavailable', mode: status });
+    return { status: 'ready', mode: status };
+});
+
+// 可用率历史与总体状态变化记录
+app.get('/health/history', async () => getHealthHistoryReport(getHealth().upstreams));
+
+// 各上游最近一次探测的详细状态
+app.get('/health/upstreams', async () => {
+    const { status, text, lastCheck } = getHealth();
+    return {
+        status,
+        text,
+        lastCheck: lastCheck ? new Date(lastCheck).toISOString() : null,
+        upstreams: getUpstreamHealth(),
+    };
+});
+
+// Prometheus 指标（设置 METRICS_PORT 时改为在独立端口提供）
+if (CONFIG.METRICS_ENABLED && !CONFIG.METRICS_PORT) app.get('/metrics', sendMetrics);
+
+// 热门歌曲排行：?period=day|week&limit=
+app.get('/stats/top', async (request, reply) => {
+    const query = parseStatsQuery(request.query);
+    if (!query) return reply.code(400).send({ code: 400, message: STATS_QUERY_ERROR });
+    return { period: query.period, songs: analytics.getTop(ANALYTICS_PERIODS[query.period], query.limit) };
+});
+
+// 所有音源都失败的关键词：?period=day|week&limit=
+app.get('/stats/failures', async (request, reply) => {
+    const query = parseStatsQuery(request.query);
+    if (!query) return reply.code(400).send({ code: 400, message: STATS_QUERY_ERROR });
+    return { period: query.period, keywords: analytics.getFailures(ANALYTICS_PERIODS[query.period], query.limit) };
+});
+
+// 运行统计
+app.get('/stats', async () => ({
+    searchCache: getCacheStats(),
+    audioCache: audioCache ? audioCache.getStats() : null,
+    coverCache: coverCache ? coverCache.getStats() : null,
+}));
 
 // 主接口：搜索歌曲
 app.get('/', async (request, reply) => {
@@ -217,696 +271,931 @@ app.get('/', async (request, reply) => {
         });
     }
 
+    const quality = request.query.quality ? normalizeQuality(request.query.quality) : CONFIG.BITRATE;
+    if (!quality) {
+        return reply.code(400).send({ code: 400, message: 'quality 参数无效，可选 128k / 320k / flac' });
+    }
+    const lyricTracks = parseLyricTrackOptions(request.query);
+    if (!lyricTracks) return reply.code(400).send({ code: 400, message: LYRIC_TRACK_ERROR });
+
+    const startedAt = Date.now();
     try {
-        const result = await searchAndGetSong(name, request.log);
+        const result = await searchAndGetSong(name, request.log, {
+            sources: parseSourceList(request.query.source),
+            quality,
+            ...lyricTracks,
+        });
+        recordLookup(name, startedAt, result);
         return result;
     } catch (error) {
+        recordLookup(name, startedAt, null, error);
         request.log.error(error, '搜索歌曲失败');
         return reply.code(500).send({
             code: 500,
-            message: '服务内部错误: ' + error.message
+            message: '服务内部错误: ' + error.message,
+            attempts: error.attempts,
         });
     }
 });
 
 // 兼容 API 路径
 app.get('/api/music/url', async (request, reply) => {
-    const { name, singer } = request.query;
+    const { name, singer, source } = request.query;
     if (!name) return reply.code(400).send({ code: 400, message: '缺少 name 参数' });
 
+    const quality = request.query.quality ? normalizeQuality(request.query.quality) : CONFIG.BITRATE;
+    if (!quality) return reply.code(400).send({ code: 400, message: 'quality 参数无效，可选 128k / 320k / flac' });
+
+    const lyricTracks = parseLyricTrackOptions(request.query);
+    if (!lyricTracks) return reply.code(400).send({ code: 400, message: LYRIC_TRACK_ERROR });
+
     const keyword = singer ? `${name} ${singer}` : name;
     try {
-        return await searchAndGetSong(keyword, request.log);
+        return await searchAndGetSong(keyword, request.log, { sources: parseSourceList(source), quality, ...lyricTracks });
     } catch (error) {
         request.log.error(error, '搜索歌曲失败');
-        return reply.code(500).send({ code: 500, message: error.message });
+        return reply.code(500).send({ code: 500, message: error.message, attempts: error.attempts });
     }
 });
 
-// 音频流代理（支持 QQ 音乐 mid、酷我 rid、以及旧版 id 参数）
-app.get('/fallback-stream', async (request, reply) => {
-    const { mid, rid, id } = request.query;
+// 多候选搜索：合并各音源结果并去重，供机器人展示"选 1–5"菜单
+app.get('/search', async (request, reply) => {
+    const { keyword, source } = request.query;
+    if (!keyword) return reply.code(400).send({ code: 400, message: '缺少 keyword 参数' });
 
-    if (!mid && !rid && !id) {
-        return reply.code(400).send({ error: '缺少 mid、rid 或 id 参数' });
+    const page = Math.max(parseInt(request.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(request.query.limit) || 10, 1), SEARCH_MAX_LIMIT);
+    if (page * limit > SEARCH_MAX_DEPTH) {
+        return reply.code(400).send({ code: 400, message: `最多只能翻到第 ${SEARCH_MAX_DEPTH} 条结果` });
     }
 
-    // 如果只传了 id（旧格式），尝试通过 qq-music-api-v2 按 songid 获取
-    if (!mid && !rid && id) {
-        for (const upstream of UPSTREAMS.filter(u => u.type === 'qqmusic')) {
-            try {
-                const controller = new AbortController();
-                const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
+    try {
+        return await searchCandidates(keyword, request.log, { sources: parseSourceList(source), page, limit });
+    } catch (error) {
+        request.log.error(error, '候选搜索失败');
+        return reply.code(500).send({ code: 500, message: error.message, attempts: error.attempts });
+    }
+});
 
-                const urlRes = await fetch(`${upstream.url}${upstream.endpoints.url}?id=${id}`, {
-                    signal: controller.signal,
-                    headers: { 'User-Agent': 'HBMusic/1.0' }
-                });
-                clearTimeout(timeout);
+// 按 ID 直接获取歌曲：/song?source=netease&id=186016，也支持 /song?mid=xxx、/song?rid=xxx
+app.get('/song', async (request, reply) => {
+    const { source } = request.query;
+    const quality = request.query.quality ? normalizeQuality(request.query.quality) : CONFIG.BITRATE;
+    if (!quality) return reply.code(400).send({ code: 400, message: 'quality 参数无效，可选 128k / 320k / flac' });
 
-                const urlData = await urlRes.json();
-                // 尝试从返回数据中提取播放链接
-                const audioUrl = urlData.data?.[Object.keys(urlData.data || {})[0]];
+    const lyricTracks = parseLyricTrackOptions(request.query);
+    if (!lyricTracks) return reply.code(400).send({ code: 400, message: LYRIC_TRACK_ERROR });
 
-                if (audioUrl) {
-                    request.log.info({ source: 'qqmusic', id }, '通过 songid 获取播放链接成功');
-                    // 302 重定向到真实播放链接
-                    return reply.redirect(audioUrl);
-                }
-            } catch (e) {
-                request.log.warn({ source: 'qqmusic', id, error: e.message }, '通过 songid 获取链接失败');
-            }
-        }
+    const { id, upstreams } = resolveSongRef(request.query);
+    if (!id) return reply.code(400).send({ code: 400, message: '缺少 id 参数，请使用 ?source=音源&id=歌曲ID 格式请求' });
+    if (!upstreams.length) return reply.code(400).send({ code: 400, message: '该音源不支持按 ID 获取' });
 
-        // 所有上游都失败，返回 404（非 400，防止客户端死循环重试）
-        return reply.code(404).send({ error: '该歌曲链接已过期，请重新点歌' });
+    try {
+        const result = await getSongById(upstreams, id, request.log, { quality, ...lyricTracks });
+        if (!result) return reply.code(404).send({ code: 404, message: '未找到该歌曲' });
+        return result;
+    } catch (error) {
+        request.log.error(error, '按 ID 获取歌曲失败');
+        return reply.code(500).send({ code: 500, message: error.message });
     }
+});
 
-    let audioUrl = null;
-
-    // 如果是酷我 rid，直接从酷我获取
-    if (rid) {
-        try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
-
-            const kuwoUrl = `https://kw-api.cenguigui.cn?id=${rid}&type=song&level=exhigh&format=mp3`;
-            const res = await fetch(kuwoUrl, {
-                signal: controller.signal,
-                redirect: 'follow',
-                headers: { 'User-Agent': 'Mozilla/5.0' }
-            });
-            clearTimeout(timeout);
+// 音频流代理（支持 QQ 音乐 mid、酷我 rid、以及旧版 id 参数，由注册了对应 idParams 的适配器处理）
+// 支持 Range 分段请求与 HEAD（显式注册 HEAD，避免自动生成的 HEAD 路由将 Content-Length 置 0）
+app.route({ method: ['GET', 'HEAD'], url: '/fallback-stream', handler: async (request, reply) => {
+    const ref = findAdapterByParam(request.query);
 
-            // 酷我返回 302 重定向到真实链接
-            if (res.ok || res.redirected) {
-                audioUrl = res.url;
-                request.log.info({ source: 'kuwo', rid }, '获取酷我播放链接成功');
-            }
-        } catch (e) {
-            request.log.warn({ source: 'kuwo', error: e.message }, '酷我获取链接失败');
-        }
+    if (!ref || !ref.adapter.resolveStream) {
+        return reply.code(400).send({ error: '缺少 mid、rid 或 id 参数' });
     }
 
-    // 如果是 QQ 音乐 mid，从 QQ 音乐上游获取
-    if (!audioUrl && mid) {
-        for (const upstream of UPSTREAMS.filter(u => u.type === 'qqmusic')) {
-            try {
-                const controller = new AbortController();
-                const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
+    const quality = normalizeQuality(request.query.quality) || CONFIG.BITRATE;
 
-                const urlRes = await fetch(`${upstream.url}${upstream.endpoints.url}?mid=${mid}`, {
-                    signal: controller.signal,
-                    headers: { 'User-Agent': 'HBMusic/1.0' }
-                });
-                clearTimeout(timeout);
+    // 磁盘缓存命中时直接从磁盘响应，无需解析播放链接（旧格式 id 为重定向，不走缓存）
+    const cacheKey = `${ref.adapter.type}:${ref.id}:${quality}`;
+    const cached = audioCache && ref.param !== 'id' ? audioCache.get(cacheKey) : null;
+    if (cached) return sendCachedAudio(request, reply, cached);
 
-                const urlData = await urlRes.json();
-                audioUrl = urlData.data?.[mid];
+    const stream = await callUpstreamsFor(ref.adapter, request.log, (upstream, signal) =>
+        resolveStreamWithQuality(ref.adapter, upstream, ref.id, quality, signal, request.log));
+    const audioUrl = stream?.url;
 
-                if (audioUrl) {
-                    request.log.info({ upstream: upstream.name, mid }, '获取播放链接成功');
-                    break;
-                }
-            } catch (e) {
-                request.log.warn({ upstream: upstream.name, error: e.message }, '上游获取链接失败');
-            }
-        }
+    // 旧格式 id：302 重定向到真实播放链接
+    if (ref.param === 'id') {
+        if (audioUrl) return reply.redirect(audioUrl);
+        // 所有上游都失败，返回 404（非 400，防止客户端死循环重试）
+        return reply.code(404).send({ error: '该歌曲链接已过期，请重新点歌' });
     }
 
     if (!audioUrl) {
         return reply.code(404).send({ error: '无法获取播放链接' });
     }
 
+    // 客户端断开（如拖动进度条后放弃旧的分段请求）时中止上游下载
+    const controller = new AbortController();
+    reply.raw.on('close', () => controller.abort());
+
     try {
         const audioRes = await fetch(audioUrl, {
-            headers: { 'User-Agent': 'Mozilla/5.0', 'Referer': 'https://y.qq.com/' }
+            method: request.method === 'HEAD' ? 'HEAD' : 'GET',
+            signal: controller.signal,
+            headers: {
+                'User-Agent': 'Mozilla/5.0',
+                'Referer': 'https://y.qq.com/',
+                ...pickHeaders(request.headers, FORWARDED_REQUEST_HEADERS),
+            },
         });
 
+        // 200 / 206 / 304 / 416 原样转发，其余视为上游故障
+        if (!audioRes.ok && audioRes.status !== 304 && audioRes.status !== 416) {
+            audioRes.body?.cancel();
+            request.log.warn({ status: audioRes.status, [ref.param]: ref.id }, '音频上游响应异常');
+            return reply.code(502).send({ error: '音频获取失败' });
+        }
+
+        reply.code(audioRes.status);
         reply.header('Content-Type', audioRes.headers.get('content-type') || 'audio/mpeg');
         reply.header('Accept-Ranges', 'bytes');
-        if (audioRes.headers.get('content-length')) {
-            reply.header('Content-Length', audioRes.headers.get('content-length'));
+        if (stream.quality) reply.header('X-Audio-Quality', stream.quality);
+        for (const [name, value] of Object.entries(pickHeaders(audioRes.headers, FORWARDED_RESPONSE_HEADERS))) {
+            reply.header(name, value);
         }
-        return reply.send(audioRes.body);
+
+        if (request.method === 'HEAD' || !audioRes.body) return reply.send();
+
+        // 边转发边统计字节数；上游返回完整文件时同时写入磁盘缓存
+        const expectedSize = getCompleteBodySize(audioRes);
+        const fill = audioCache && expectedSize !== null
+            ? audioCache.createFill(cacheKey, {
+                expectedSize,
+                contentType: reply.getHeader('content-type'),
+                etag: audioRes.headers.get('etag'),
+                lastModified: audioRes.headers.get('last-modified'),
+                quality: stream.quality,
+            })
+            : null;
+
+        const tee = new Transform({
+            transform(chunk, encoding, callback) {
+                streamBytes.inc({ cache: 'miss' }, chunk.length);
+                fill?.write(chunk);
+                callback(null, chunk);
+            },
+            flush(callback) {
+                fill?.commit();
+                callback();
+            },
+        });
+        // 未完整读完（客户端断开、上游出错）时丢弃已写入的部分
+        if (fill) tee.on('close', () => fill.abort());
+        pipeline(Readable.fromWeb(audioRes.body), tee, () => {});
+        return reply.send(tee);
     } catch (error) {
-        request.log.error(error, '音频代理失败');
+        // 客户端主动断开属正常情况，不记错误
+        if (!controller.signal.aborted) request.log.error(error, '音频代理失败');
         return reply.code(502).send({ error: '音频获取失败' });
     }
+} });
+
+// 音频代理透传的请求头（分段、条件请求）与响应头
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+const FORWARDED_RESPONSE_HEADERS = ['content-length', 'content-range', 'etag', 'last-modified'];
+
+// 上游响应为完整文件时返回文件大小（未知为 0），分段响应返回 null：
+// 200，或覆盖整个文件的 206（播放器首次请求常带 Range: bytes=0-）
+function getCompleteBodySize(res) {
+    if (res.status === 200) return parseInt(res.headers.get('content-length')) || 0;
+    const match = /^bytes 0-(\d+)\/(\d+)$/.exec(res.headers.get('content-range') || '');
+    if (res.status === 206 && match && Number(match[1]) === Number(match[2]) - 1) return Number(match[2]);
+    return null;
+}
+
+// 从磁盘缓存响应，支持 Range 与 HEAD
+function sendCachedAudio(request, reply, entry) {
+    reply.header('Content-Type', entry.contentType || 'audio/mpeg');
+    reply.header('Accept-Ranges', 'bytes');
+    reply.header('X-Cache', 'HIT');
+    if (entry.quality) reply.header('X-Audio-Quality', entry.quality);
+    if (entry.etag) reply.header('ETag', entry.etag);
+    if (entry.lastModified) reply.header('Last-Modified', entry.lastModified);
+
+    if (entry.etag && request.headers['if-none-match'] === entry.etag) return reply.code(304).send();
+
+    const range = parseRange(request.headers.range, entry.size);
+    if (range === null) {
+        reply.header('Content-Range', `bytes */${entry.size}`);
+        return reply.code(416).send();
+    }
+    if (range) {
+        reply.code(206);
+        reply.header('Content-Range', `bytes ${range.start}-${range.end}/${entry.size}`);
+        reply.header('Content-Length', range.end - range.start + 1);
+    } else {
+        reply.header('Content-Length', entry.size);
+    }
+
+    if (request.method === 'HEAD') return reply.send();
+
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            streamBytes.inc({ cache: 'hit' }, chunk.length);
+            callback(null, chunk);
+        },
+    });
+    pipeline(fs.createReadStream(entry.path, range || {}), counter, () => {});
+    return reply.send(counter);
+}
+
+// 从请求头对象或 fetch Headers 中挑选指定头
+function pickHeaders(headers, names) {
+    const picked = {};
+    for (const name of names) {
+        const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        if (value) picked[name] = value;
+    }
+    return picked;
+}
+
+// 封面代理：?source=音源&id=封面ID，或 ?url=上游封面链接（限 COVER_PROXY_HOSTS 与已配置上游的域名）
+app.get('/cover', async (request, reply) => {
+    const { source, id, url } = request.query;
+
+    let cacheKey;
+    let resolveCoverUrl;
+    if (source && id) {
+        const upstream = findUpstreamsBySource(source)[0];
+        const adapter = upstream && getAdapter(upstream.type);
+        if (!adapter?.getCover) return reply.code(400).send({ error: '该音源不支持获取封面' });
+        cacheKey = `${adapter.type}:${id}`;
+        resolveCoverUrl = () => callUpstreamsFor(adapter, request.log, (u, signal) =>
+            adapter.getCover(u, id, signal, request.log));
+    } else if (url && isAllowedCoverUrl(url)) {
+        cacheKey = `url:${url}`;
+        resolveCoverUrl = async () => url;
+    } else {
+        return reply.code(400).send({ error: '缺少 source 与 id 参数' });
+    }
+
+    const cached = coverCache?.get(cacheKey);
+    if (cached) {
+        reply.header('Content-Type', cached.contentType);
+        reply.header('Content-Length', cached.size);
+        reply.header('Cache-Control', COVER_CACHE_CONTROL);
+        reply.header('X-Cache', 'HIT');
+        return reply.send(fs.createReadStream(cached.path));
+    }
+
+    try {
+        const image = await fetchCoverImage(await resolveCoverUrl());
+        const fill = coverCache?.createFill(cacheKey, { expectedSize: image.body.length, contentType: image.contentType });
+        if (fill) {
+            fill.write(image.body);
+            fill.commit();
+        }
+        reply.header('Content-Type', image.contentType);
+        reply.header('Cache-Control', COVER_CACHE_CONTROL);
+        return reply.send(image.body);
+    } catch (error) {
+        // 上游失败时返回默认封面，短时间缓存以便稍后重试
+        request.log.warn({ source, id, url, error: error.message }, '封面获取失败，返回默认封面');
+        reply.header('Content-Type', 'image/png');
+        reply.header('Cache-Control', 'public, max-age=300');
+        return reply.send(COVER_PLACEHOLDER);
+    }
 });
 
-// 歌词代理（支持 QQ 音乐 mid 和 酷我 rid）
+// 歌词代理（支持 QQ 音乐 mid 和 酷我 rid），?format= 指定输出格式，?duration= 为歌曲时长（秒）
 app.get('/fallback-lyric', async (request, reply) => {
-    const { mid, rid } = request.query;
+    const ref = findAdapterByParam(request.query);
 
-    if (!mid && !rid) {
+    if (!ref || !ref.adapter.getLyric) {
         return reply.code(400).send({ error: '缺少 mid 或 rid 参数' });
     }
 
-    // 如果是酷我 rid，直接从酷我获取
-    if (rid) {
-        try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
+    const format = parseLyricFormat(request.query);
+    if (!format) return reply.code(400).send({ error: `format 参数无效，可选 ${LYRIC_FORMATS.join(' / ')}` });
 
-            const kuwoUrl = `https://kw-api.cenguigui.cn?id=${rid}&type=lyr&format=all`;
-            const res = await fetch(kuwoUrl, {
-                signal: controller.signal,
-                headers: { 'User-Agent': 'Mozilla/5.0' }
-            });
-            clearTimeout(timeout);
+    const lyric = await fetchLyricByRef(ref, request.log);
+    if (lyric?.lines.length) {
+        reply.header('Cache-Control', 'public, max-age=86400');
+        return sendLyric(reply, lyric, format, { durationMs: (parseInt(request.query.duration) || 0) * 1000 });
+    }
 
-            const text = await res.text();
-            if (text) {
-                reply.header('Content-Type', 'text/plain; charset=utf-8');
-                reply.header('Cache-Control', 'public, max-age=86400');
-                return reply.send(text);
+    return reply.code(404).send({ error: '未找到歌词' });
+});
+
+// 歌词格式转换：与点歌结果同源（?name= 搜索，或 ?source=&id= / mid / rid 按 ID 获取）
+app.get('/lyric', async (request, reply) => {
+    const format = parseLyricFormat(request.query);
+    if (!format) return reply.code(400).send({ code: 400, message: `format 参数无效，可选 ${LYRIC_FORMATS.join(' / ')}` });
+    const lyricTracks = parseLyricTrackOptions(request.query);
+    if (!lyricTracks) return reply.code(400).send({ code: 400, message: LYRIC_TRACK_ERROR });
+
+    let result;
+    try {
+        if (request.query.name) {
+            result = await searchAndGetSong(request.query.name, request.log, { sources: parseSourceList(request.query.source), ...lyricTracks });
+        } else {
+            const { id, upstreams } = resolveSongRef(request.query);
+            if (!id || !upstreams.length) {
+                return reply.code(400).send({ code: 400, message: '缺少 name 参数，或使用 ?source=音源&id=歌曲ID 格式请求' });
             }
-        } catch (e) {
-            request.log.warn({ source: 'kuwo', error: e.message }, '酷我获取歌词失败');
+            result = await getSongById(upstreams, id, request.log, lyricTracks);
         }
+    } catch (error) {
+        request.log.error(error, '获取歌词失败');
+        return reply.code(500).send({ code: 500, message: error.message, attempts: error.attempts });
+    }
+    if (!result) return reply.code(404).send({ code: 404, message: '未找到该歌曲' });
+
+    // 歌词为代理链接（酷我、QQ 音乐）时向对应适配器获取，否则直接解析结果中的 LRC
+    let lyric = null;
+    if (/^https?:\/\//.test(result.lyric)) {
+        const ref = findAdapterByParam(Object.fromEntries(new URL(result.lyric).searchParams));
+        if (ref?.adapter.getLyric) lyric = await fetchLyricByRef(ref, request.log);
+    } else if (result.lyric) {
+        lyric = parseLrc(result.lyric);
     }
+    if (!lyric?.lines.length) return reply.code(404).send({ code: 404, message: '未找到歌词' });
 
-    // 如果是 QQ 音乐 mid，从 QQ 音乐上游获取
-    if (mid) {
-        for (const upstream of UPSTREAMS.filter(u => u.type === 'qqmusic')) {
-            try {
-                const controller = new AbortController();
-                const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
+    return sendLyric(reply, lyric, format, {
+        durationMs: (result.duration || 0) * 1000,
+        title: result.title,
+        artist: lyric.tags.ar || result.singer,
+    });
+});
 
-                const res = await fetch(`${upstream.url}${upstream.endpoints.lyric}?mid=${mid}`, {
-                    signal: controller.signal,
-                    headers: { 'User-Agent': 'HBMusic/1.0' }
-                });
-                clearTimeout(timeout);
+// ============= 封面辅助 =============
+const COVER_CACHE_CONTROL = 'public, max-age=2592000, immutable';
+const COVER_MAX_BYTES = 5 * 1024 * 1024;
+const COVER_MAX_REDIRECTS = 3;
+const COVER_PLACEHOLDER = fs.readFileSync(new URL('./assets/cover-placeholder.png', import.meta.url));
 
-                const data = await res.json();
+// 允许代理的封面域名：COVER_PROXY_HOSTS 及其子域名，以及已配置上游的域名
+function isAllowedCoverUrl(url) {
+    let host;
+    try {
+        const parsed = new URL(url);
+        if (!/^https?:$/.test(parsed.protocol)) return false;
+        host = parsed.hostname;
+    } catch {
+        return false;
+    }
+    const upstreamHosts = UPSTREAMS.flatMap(u => [u.url, u.infoUrl]).filter(Boolean).map(u => new URL(u).hostname);
+    return upstreamHosts.includes(host)
+        || CONFIG.COVER_PROXY_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
 
-                if (data.code === 0 && data.data?.lyric) {
-                    reply.header('Content-Type', 'text/plain; charset=utf-8');
-                    reply.header('Cache-Control', 'public, max-age=86400');
-                    return reply.send(data.data.lyric);
-                }
-            } catch (e) {
-                request.log.warn({ upstream: upstream.name, error: e.message }, '上游获取歌词失败');
-            }
+// 结果中的封面改写为本服务 /cover 链接：有 coverId 时按音源 + ID，否则代理上游链接
+function toCoverProxyUrl(result, upstream) {
+    if (result.coverId && getAdapter(upstream.type)?.getCover) {
+        return `${CONFIG.BASE_URL}/cover?source=${upstream.name}&id=${encodeURIComponent(result.coverId)}`;
+    }
+    if (result.cover && isAllowedCoverUrl(result.cover)) {
+        return `${CONFIG.BASE_URL}/cover?url=${encodeURIComponent(result.cover)}`;
+    }
+    return result.cover || '';
+}
+
+// 手动跟随重定向，每一跳都重新检查域名，避免允许的域名把请求转到任意地址
+async function fetchCoverImage(imageUrl) {
+    if (!imageUrl) throw new Error('无封面');
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
+    try {
+        let url = imageUrl;
+        let res;
+        for (let redirects = 0; ; redirects++) {
+            res = await fetch(url, { signal: controller.signal, redirect: 'manual', headers: { 'User-Agent': 'Mozilla/5.0' } });
+            const location = res.headers.get('location');
+            if (res.status < 300 || res.status >= 400 || !location) break;
+
+            res.body?.cancel();
+            if (redirects >= COVER_MAX_REDIRECTS) throw new Error('封面重定向次数过多');
+            url = new URL(location, url).href;
+            if (!isAllowedCoverUrl(url)) throw new Error(`封面重定向到不允许的域名: ${new URL(url).hostname}`);
+        }
+        const contentType = res.headers.get('content-type') || '';
+        if (!res.ok || !contentType.startsWith('image/')) {
+            res.body?.cancel();
+            throw new Error(`上游响应异常: ${res.status} ${contentType}`);
         }
+        const body = Buffer.from(await res.arrayBuffer());
+        if (body.length > COVER_MAX_BYTES) throw new Error('封面文件过大');
+        return { body, contentType };
+    } finally {
+        clearTimeout(timeout);
     }
+}
 
-    return reply.code(404).send({ error: '未找到歌词' });
-});
+// ============= 歌词辅助 =============
+const LYRIC_TRACK_ERROR = `lyric_translation / lyric_romanization 参数无效，可选 ${LYRIC_TRACK_MODES.join(' / ')}`;
+
+// 翻译 / 音译歌词的合并方式，缺省取配置默认值；参数无效时返回 null
+function parseLyricTrackOptions(query) {
+    const lyricTranslation = query.lyric_translation || CONFIG.LYRIC_TRANSLATION;
+    const lyricRomanization = query.lyric_romanization || CONFIG.LYRIC_ROMANIZATION;
+    if (!LYRIC_TRACK_MODES.includes(lyricTranslation) || !LYRIC_TRACK_MODES.includes(lyricRomanization)) return null;
+    return { lyricTranslation, lyricRomanization };
+}
+
+function parseLyricFormat(query) {
+    const format = String(query.format || 'lrc').toLowerCase();
+    return LYRIC_FORMATS.includes(format) ? format : null;
+}
+
+// 统一转换为歌词模型，兼容仍返回 LRC 文本的自定义适配器
+async function fetchLyricByRef(ref, log) {
+    const lyric = await callUpstreamsFor(ref.adapter, log, (upstream, signal) =>
+        ref.adapter.getLyric(upstream, ref.id, signal, log));
+    return toLrc(lyric);
+}
+
+function sendLyric(reply, lyric, format, meta) {
+    const { contentType, body } = renderLyric(lyric, format, meta);
+    reply.header('Content-Type', contentType);
+    return reply.send(body);
+}
+
+// 按 ID 获取时的上游：?source=音源&id=歌曲ID，或由 mid / rid 等参数识别音源
+function resolveSongRef(query) {
+    let upstreams;
+    let id;
+    if (query.source) {
+        id = query.id;
+        upstreams = findUpstreamsBySource(query.source);
+    } else {
+        const ref = findAdapterByParam(query);
+        id = ref?.id;
+        upstreams = ref ? getUpstreamsFor(ref.adapter) : [];
+    }
+    return {
+        id,
+        upstreams: upstreams.filter(u => {
+            const adapter = getAdapter(u.type);
+            return adapter?.getSong && (adapter.canGetSong?.(u) ?? true);
+        }),
+    };
+}
 
 // ============= 核心逻辑 =============
 
-// ============= 搜索结果内存缓存 =============
-// 纯内存缓存，不占磁盘空间，容器重启后自动清空
-const searchCache = new Map();
-const CACHE_TTL = 60 * 60 * 1000;   // 缓存有效期：1 小时
-const CACHE_MAX_SIZE = 200;         // 最大缓存条目数
+// ============= 搜索结果缓存 =============
+// 后端由 CACHE_BACKEND 选择：memory（默认，重启清空）或 file（落盘，重启后恢复）
+const searchCache = createCacheStore(CONFIG.CACHE_BACKEND, { file: CONFIG.CACHE_FILE, log: app.log });
+
+// 音频磁盘缓存（AUDIO_CACHE_ENABLED 开启时）
+const audioCache = CONFIG.AUDIO_CACHE_ENABLED
+    ? createDiskCache({ dir: CONFIG.AUDIO_CACHE_DIR, maxSize: CONFIG.AUDIO_CACHE_MAX_SIZE * 1024 * 1024, log: app.log, label: '音频缓存' })
+    : null;
+
+// 封面磁盘缓存（COVER_CACHE_MAX_SIZE 为 0 时关闭）
+const coverCache = CONFIG.COVER_CACHE_MAX_SIZE > 0
+    ? createDiskCache({ dir: CONFIG.COVER_CACHE_DIR, maxSize: CONFIG.COVER_CACHE_MAX_SIZE * 1024 * 1024, log: app.log, label: '封面缓存' })
+    : null;
+
+// 点歌统计（/stats/top、/stats/failures 与启动预热）
+const analytics = createAnalytics({ dir: CONFIG.ANALYTICS_DIR, retentionDays: CONFIG.ANALYTICS_RETENTION_DAYS, log: app.log });
+
+// 上游可用率历史（状态页展示），每轮健康探测后记录
+const healthHistory = createHealthHistory({ file: CONFIG.HEALTH_HISTORY_FILE, days: CONFIG.HEALTH_HISTORY_DAYS, log: app.log });
+onHealthCheck(check => healthHistory.record(check));
+
+const CACHE_TTL = CONFIG.CACHE_TTL;             // 缓存有效期
+const CACHE_MAX_SIZE = CONFIG.CACHE_MAX_SIZE;   // 最大缓存条目数
 
 function getCacheKey(keyword) {
     return keyword.trim().toLowerCase();
 }
 
+// 命中 / 过期命中 / 无结果命中 / 未命中 / 淘汰 / 后台刷新 计数
+const cacheStats = { hits: 0, staleHits: 0, negativeHits: 0, misses: 0, evictions: 0, refreshes: 0 };
+// 正在后台刷新的键，避免同一条目被重复刷新
+const refreshingKeys = new Set();
+
+// 查询缓存，返回 { data, stale, negative } 或 null
+// - 新鲜条目：stale = false
+// - 过期但仍在 CACHE_STALE_TTL 窗口内：stale = true，调用方应先返回旧数据并后台刷新
+// - 无结果条目（negative）：data 为 { message }，只在 CACHE_NEGATIVE_TTL 内有效
 function getFromCache(keyword) {
     const key = getCacheKey(keyword);
     const entry = searchCache.get(key);
-    if (!entry) return null;
+    if (!entry) {
+        cacheStats.misses++;
+        return null;
+    }
 
     // 检查是否过期
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
+    const age = Date.now() - entry.timestamp;
+    const ttl = entry.negative ? CONFIG.CACHE_NEGATIVE_TTL : CACHE_TTL;
+    const staleTtl = entry.negative ? 0 : CONFIG.CACHE_STALE_TTL;
+    if (age > ttl + staleTtl) {
         searchCache.delete(key);
+        cacheStats.misses++;
         return null;
     }
-    return entry.data;
+
+    // LRU：命中后移到队尾
+    searchCache.delete(key);
+    searchCache.set(key, entry);
+
+    const stale = age > ttl;
+    if (entry.negative) cacheStats.negativeHits++;
+    else if (stale) cacheStats.staleHits++;
+    else cacheStats.hits++;
+    return { data: entry.data, stale, negative: Boolean(entry.negative) };
 }
 
-function setCache(keyword, data) {
+function setCache(keyword, data, negative = false) {
     const key = getCacheKey(keyword);
+    searchCache.delete(key);
 
-    // 缓存满时淘汰最旧的条目
-    if (searchCache.size >= CACHE_MAX_SIZE) {
+    // 缓存满时淘汰最久未使用的条目（队首）
+    while (searchCache.size >= CACHE_MAX_SIZE) {
         const oldestKey = searchCache.keys().next().value;
         searchCache.delete(oldestKey);
+        cacheStats.evictions++;
     }
 
-    searchCache.set(key, { data, timestamp: Date.now() });
+    searchCache.set(key, negative ? { data, timestamp: Date.now(), negative: true } : { data, timestamp: Date.now() });
 }
 
-async function searchAndGetSong(keyword, log) {
-    // 优先查缓存
-    const cached = getFromCache(keyword);
-    if (cached) {
-        log.info({ keyword, title: cached.title }, '命中缓存，跳过上游请求');
-        return cached;
-    }
-
-    log.info({ keyword }, '搜索歌曲...');
-
-    // 依次尝试各上游
-    for (const upstream of UPSTREAMS) {
-        try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
-
-            let result;
-            if (upstream.type === 'lucky') {
-                // Lucky API：直接返回完整结果（含真实播放链接）
-                result = await searchFromLucky(upstream, keyword, controller.signal, log);
-            } else if (upstream.type === 'meting') {
-                // 网易云音乐：Meting 搜索 + v.iarc.top 获取播放链接
-                result = await searchFromMeting(upstream, keyword, controller.signal, log);
-            } else if (upstream.type === 'kuwo') {
-                // 酷我 API：直接返回完整结果
-                result = await searchFromKuwo(upstream, keyword, controller.signal, log);
-            } else {
-                // QQ 音乐格式
-                result = await searchFromQQMusic(upstream, keyword, controller.signal, log);
-            }
-            clearTimeout(timeout);
-
-            if (result) {
-                // 品牌签名：歌手名后缀
-                const brandedSinger = `${result.singer} · hbmusic.1yo.cc`;
-
-                // 品牌签名：歌词（不破坏 LRC 元数据格式）
-                let brandedLyric = result.lyric;
-                if (brandedLyric && typeof brandedLyric === 'string') {
-                    // 1. 替换/插入 [by:] 元数据标签
-                    if (brandedLyric.includes('[by:')) {
-                        brandedLyric = brandedLyric.replace(/\[by:[^\]]*\]/, '[by:hbmusic.1yo.cc]');
-                    } else {
-                        // 在 [offset:] 或第一个时间戳行前插入
-                        brandedLyric = brandedLyric.replace(/(\[offset:[^\]]*\])/, '$1\n[by:hbmusic.1yo.cc]');
-                    }
-                    // 2. 在制作人信息（作词/作曲/编曲等）之后、正式歌词之前插入品牌行
-                    const lines = brandedLyric.split('\n');
-                    const creditKeywords = ['作词', '作曲', '编曲', '制作人', '合声', '混音', '母带', '录音', '吉他', '钢琴', '贝斯', '鼓', '弦乐'];
-                    let lastCreditIndex = -1;
-
-                    for (let i = 0; i < lines.length; i++) {
-                        const line = lines[i];
-                        // 跳过元数据行（[ti:], [ar:], [al:], [by:], [offset:] 等）
-                        if (/^\[(ti|ar|al|by|offset):/.test(line)) continue;
-                        // 检查是否为制作人信息行
-                        if (creditKeywords.some(kw => line.includes(kw))) {
-                            lastCreditIndex = i;
-                        }
-                    }
-
-                    // 找到插入位置：最后一条制作人信息之后
-                    const insertIndex = lastCreditIndex >= 0
-                        ? lastCreditIndex + 1
-                        : lines.findIndex(l => /^\[\d{2}:\d{2}/.test(l));  // 没有制作信息则找第一个时间戳行
-
-                    if (insertIndex >= 0) {
-                        // 取制作人信息最后一行的时间戳作为签名起始时间
-                        const lastCreditLine = lines[lastCreditIndex >= 0 ? lastCreditIndex : insertIndex] || '';
-                        const timeMatch = lastCreditLine.match(/^\[(\d{2}:\d{2}[.\d]*)\]/);
-                        const baseTime = timeMatch ? timeMatch[1] : '00:00.00';
-
-                        // 解析时间并加 1~2 秒
-                        const timeParts = baseTime.split(':');
-                        const minutes = parseInt(timeParts[0]);
-                        const seconds = parseFloat(timeParts[1]);
-                        const t1Sec = seconds + 1;
-                        const t2Sec = seconds + 2;
-                        const t1 = `${String(minutes).padStart(2, '0')}:${t1Sec.toFixed(2).padStart(5, '0')}`;
-                        const t2 = `${String(minutes).padStart(2, '0')}:${t2Sec.toFixed(2).padStart(5, '0')}`;
-
-                        lines.splice(insertIndex, 0,
-                            `[${t1}]🎵 浏览器输入 hbmusic.1yo.cc`,
-                            `[${t2}]🎵 即可免费享受全网点歌服务`
-                        );
-                        brandedLyric = lines.join('\n');
-                    }
-                }
-
-                const finalResult = {
-                    ...result,
-                    singer: brandedSinger,
-                    lyric: brandedLyric,
-                    source: upstream.name,
-                };
-                log.info({ title: result.title, source: upstream.name }, '搜索成功');
-                // 写入缓存
-                setCache(keyword, finalResult);
-                return finalResult;
-            }
-        } catch (e) {
-            log.warn({ upstream: upstream.name, error: e.message }, '上游请求失败，尝试下一个');
-        }
-    }
+// 后台刷新过期条目，失败时保留旧数据直到 stale 窗口结束
+function refreshInBackground(keyword, log, refresh) {
+    const key = getCacheKey(keyword);
+    if (refreshingKeys.has(key)) return;
 
-    throw new Error('所有上游均不可用');
+    refreshingKeys.add(key);
+    cacheStats.refreshes++;
+    refresh()
+        .catch(e => log.warn({ keyword, error: e.message }, '缓存后台刷新失败'))
+        .finally(() => refreshingKeys.delete(key));
 }
 
-// QQ 音乐格式适配器
-async function searchFromQQMusic(upstream, keyword, signal, log) {
-    const searchUrl = `${upstream.url}${upstream.endpoints.search}?keyword=${encodeURIComponent(keyword)}&num=1`;
-    const searchRes = await fetch(searchUrl, {
-        signal,
-        headers: { 'User-Agent': 'HBMusic/1.0' }
-    });
-    const searchData = await searchRes.json();
-
-    if (searchData.code !== 0 || !searchData.data?.list?.length) {
-        return null;
-    }
-
-    const song = searchData.data.list[0];
-    const mid = song.mid;
-    const songName = song.name || '未知歌曲';
-    const artistName = (song.singer || []).map(s => s.name).join('/') || '未知歌手';
-    const album = song.album || {};
-
+function getCacheStats() {
+    const lookups = cacheStats.hits + cacheStats.staleHits + cacheStats.negativeHits + cacheStats.misses;
     return {
-        code: 200,
-        title: songName,
-        singer: artistName,
-        cover: album.mid ? `https://y.qq.com/music/photo_new/T002R300x300M000${album.mid}.jpg` : '',
-        link: `https://y.qq.com/n/ryqq/songDetail/${mid}`,
-        music_url: `${CONFIG.BASE_URL}/fallback-stream?mid=${mid}`,
-        lyric: `${CONFIG.BASE_URL}/fallback-lyric?mid=${mid}`,
+        backend: CONFIG.CACHE_BACKEND,
+        size: searchCache.size,
+        maxSize: CACHE_MAX_SIZE,
+        ...cacheStats,
+        hitRate: lookups ? Number(((lookups - cacheStats.misses) / lookups).toFixed(4)) : 0,
     };
 }
 
-// Lucky API 适配器 - 直接返回真实播放链接
-// 混合模式：付费歌曲时，先网易云确认 ID + 播放链接，再用精确歌名去 Lucky 获取歌词
-async function searchFromLucky(upstream, keyword, signal, log) {
-    const searchUrl = `${upstream.url}?Love=${encodeURIComponent(keyword)}`;
-    const searchRes = await fetch(searchUrl, {
-        signal,
-        headers: { 'User-Agent': 'HBMusic/1.0' }
-    });
-    const data = await searchRes.json();
+addCollector(() => [
+    {
+        name: 'hbmusic_search_cache_lookups_total',
+        help: '搜索缓存查询次数（hit / stale / negative / miss）',
+        type: 'counter',
+        samples: [
+            { labels: { result: 'hit' }, value: cacheStats.hits },
+            { labels: { result: 'stale' }, value: cacheStats.staleHits },
+            { labels: { result: 'negative' }, value: cacheStats.negativeHits },
+            { labels: { result: 'miss' }, value: cacheStats.misses },
+        ],
+    },
+    {
+        name: 'hbmusic_search_cache_entries',
+        help: '搜索缓存当前条目数',
+        type: 'gauge',
+        samples: [{ value: searchCache.size }],
+    },
+]);
 
-    if (data.code !== 200 || !data.music_url) {
-        return null;
-    }
+// 传给适配器的歌曲选项：音质与翻译 / 音译歌词，缺省取配置默认值
+function getSongOptions(options) {
+    return {
+        quality: options.quality || CONFIG.BITRATE,
+        lyricTranslation: options.lyricTranslation || CONFIG.LYRIC_TRANSLATION,
+        lyricRomanization: options.lyricRomanization || CONFIG.LYRIC_ROMANIZATION,
+    };
+}
 
-    // music_url 是有效播放链接 → 正常返回（无需混合模式）
-    if (data.music_url.startsWith('http')) {
-        let title = keyword;
-        let singer = '未知歌手';
-        let cleanLyric = '';
-        if (data.lyric) {
-            const titleMatch = data.lyric.match(/\[ti:([^\]]+)\]/);
-            const artistMatch = data.lyric.match(/\[ar:([^\]]+)\]/);
-            if (titleMatch) title = titleMatch[1];
-            if (artistMatch) singer = artistMatch[1];
-            cleanLyric = data.lyric
-                .split('\n')
-                .filter(line => !line.includes('Lucky签') && !line.includes('cer.luckying.love') && !line.includes('点歌接口'))
-                .join('\n');
-        }
-        return {
-            code: 200,
-            title,
-            singer,
-            cover: data.cover || '',
-            link: data.link || '',
-            music_url: data.music_url,
-            lyric: cleanLyric,
-        };
+// 非默认选项的缓存键后缀
+function getVariantSuffix({ quality, lyricTranslation, lyricRomanization }) {
+    let suffix = '';
+    if (quality !== CONFIG.BITRATE) suffix += `#${quality}`;
+    if (lyricTranslation !== CONFIG.LYRIC_TRANSLATION || lyricRomanization !== CONFIG.LYRIC_ROMANIZATION) {
+        suffix += `#lyric:${lyricTranslation},${lyricRomanization}`;
     }
+    return suffix;
+}
 
-    // ============= 混合模式 =============
-    // 第一步：网易云搜索 → 确认歌曲 ID + 精确歌名歌手
-    log.info({ keyword, msg: data.music_url.substring(0, 40) }, '付费歌曲，启用混合模式');
-
-    const metingUpstream = UPSTREAMS.find(u => u.type === 'meting');
-    if (!metingUpstream) return null;
+// options.sources: 本次请求指定的音源列表（?source=），为空时按全局优先级
+// options.quality: 期望音质，缺省为 BITRATE
+// options.lyricTranslation / lyricRomanization: 翻译、音译歌词的合并方式，缺省取配置
+// options.refresh: 跳过缓存直接请求上游（后台刷新使用）
+async function searchAndGetSong(keyword, log, options = {}) {
+    const sources = options.sources || [];
+    const songOptions = getSongOptions(options);
+    // 指定音源/非默认音质/非默认歌词的请求单独缓存，避免与默认结果互相覆盖
+    let cacheKeyword = keyword;
+    if (sources.length) cacheKeyword += `#${sources.join(',')}`;
+    cacheKeyword += getVariantSuffix(songOptions);
 
-    const neteaseResult = await searchNeteaseInfo(keyword, signal, log);
-    if (!neteaseResult) {
-        log.warn({ keyword }, '混合模式：网易云搜索无结果');
-        return null;
+    // 优先查缓存
+    const cached = options.refresh ? null : getFromCache(cacheKeyword);
+    if (cached?.negative) {
+        log.info({ keyword }, '命中无结果缓存，跳过上游请求');
+        const error = new Error(cached.data.message);
+        error.attempts = [{ source: null, result: 'cached', reason: '近期已确认无结果' }];
+        error.notFound = true;
+        throw error;
     }
-
-    const { songId, title: neteaseTitle, singer: neteaseSinger, albumName, picId } = neteaseResult;
-    const musicUrl = `${metingUpstream.url}/?server=netease&type=url&id=${songId}`;
-
-    log.info({ songId, neteaseTitle, neteaseSinger }, '混合模式：网易云歌曲确认');
-
-    // 第二步：用网易云的精确歌名去 Lucky 获取歌词
-    let lyric = '';
-    let cover = data.cover || '';
-    try {
-        const luckyLyricUrl = `${upstream.url}?Love=${encodeURIComponent(neteaseTitle)}`;
-        const luckyRes = await fetch(luckyLyricUrl, {
-            signal,
-            headers: { 'User-Agent': 'HBMusic/1.0' }
-        });
-        const luckyData = await luckyRes.json();
-
-        if (luckyData.code === 200 && luckyData.lyric) {
-            lyric = luckyData.lyric
-                .split('\n')
-                .filter(line => !line.includes('Lucky签') && !line.includes('cer.luckying.love') && !line.includes('点歌接口'))
-                .join('\n');
-            if (luckyData.cover) cover = luckyData.cover;
-            log.info({ neteaseTitle }, '混合模式：Lucky 歌词获取成功');
+    if (cached) {
+        log.info({ keyword, title: cached.data.title, stale: cached.stale }, '命中缓存，跳过上游请求');
+        if (cached.stale) {
+            refreshInBackground(cacheKeyword, log, () => searchAndGetSong(keyword, log, { ...options, refresh: true }));
         }
-    } catch (e) {
-        log.warn({ error: e.message }, '混合模式：Lucky 歌词获取失败');
+        return { ...cached.data, attempts: [{ source: cached.data.source, result: cached.stale ? 'stale' : 'cached' }] };
     }
 
-    // 第三步：如果 Lucky 歌词也没有，用网易云歌词兜底
-    if (!lyric) {
-        try {
-            const lrcRes = await fetch(`${metingUpstream.url}/?server=netease&type=lrc&id=${songId}`, {
-                signal,
-                headers: { 'User-Agent': 'HBMusic/1.0' },
-            });
-            lyric = await lrcRes.text();
-            // 补充 LRC 元数据头
-            if (lyric && !lyric.includes('[ti:')) {
-                lyric = `[ti:${neteaseTitle}]\n[ar:${neteaseSinger}]\n[al:${albumName}]\n[by:hbmusic.1yo.cc]\n[offset:0]\n` + lyric;
-            }
-            log.info({ songId }, '混合模式：使用网易云歌词兜底');
-        } catch (e) {
-            log.warn({ error: e.message }, '混合模式：网易云歌词也获取失败');
+    log.info({ keyword, sources }, '搜索歌曲...');
+
+    const { chain, skipped } = planUpstreams(sources);
+    // 按调度策略（顺序 / 对冲）请求各上游，优先级最高的成功结果胜出
+    const { winner, outcomes, cancelled } = await runByPriority(
+        chain,
+        (upstream, signal) => searchUpstream(upstream, keyword, songOptions, signal, log),
+        { strategy: CONFIG.SEARCH_STRATEGY, hedgeDelay: CONFIG.HEDGE_DELAY, hedgeTimeout: CONFIG.HEDGE_TIMEOUT },
+    );
+
+    // 每个音源的尝试结果：ok / empty / error / unused / aborted / skipped
+    const attempts = outcomes.map(outcome => outcome.attempt);
+    for (const { item, started, outcome, timedOut } of cancelled) {
+        if (timedOut) {
+            // 优先级更高但迟迟未返回，已采用较低优先级的结果
+            attempts.push({ source: item.name, result: 'aborted', reason: '等待超时，已采用后备音源的结果' });
+        } else if (outcome) {
+            // 已先一步完成，但优先级较低
+            attempts.push(outcome.value
+                ? { ...outcome.attempt, result: 'unused', reason: '已有更高优先级的结果' }
+                : outcome.attempt);
+        } else {
+            attempts.push({ source: item.name, result: started ? 'aborted' : 'skipped', reason: '已有更高优先级的结果' });
         }
     }
 
-    // 封面：优先 Lucky，其次网易云
-    if (!cover && picId) {
-        cover = `${metingUpstream.url}/?server=netease&type=pic&id=${picId}`;
+    if (winner) {
+        const finalResult = finalizeResult(winner.value, winner.upstream);
+        log.info({ title: finalResult.title, source: winner.upstream.name }, '搜索成功');
+        searchResults.inc({ result: 'ok', source: winner.upstream.name });
+        if (winner.upstream !== chain[0]) searchFallbacks.inc({ source: winner.upstream.name });
+        // 写入缓存
+        setCache(cacheKeyword, finalResult);
+        return { ...finalResult, attempts: [...attempts, ...skipped] };
     }
 
-    return {
-        code: 200,
-        title: neteaseTitle,
-        singer: neteaseSinger,
-        cover,
-        link: `https://music.163.com/song?id=${songId}`,
-        music_url: musicUrl,
-        lyric: lyric || '',
-    };
+    // 链路上每个上游都正常响应且没有结果时才算"无结果"；熔断、未注册而跳过的上游没有真正查过，不能下结论
+    const notFound = attempts.length === chain.length
+        && attempts.length > 0
+        && attempts.every(a => a.result === 'empty');
+
+    const error = new Error(notFound ? '未找到相关歌曲' : (chain.length ? '所有上游均不可用' : '没有可用的音源'));
+    error.attempts = [...attempts, ...skipped];
+    error.notFound = notFound;
+    searchResults.inc({ result: notFound ? 'not_found' : 'error' });
+    // 短期缓存"无结果"，避免无效关键词反复打到上游；后台刷新时不写，以免覆盖仍可用的旧结果
+    if (notFound && !options.refresh && CONFIG.CACHE_NEGATIVE_TTL > 0) setCache(cacheKeyword, { message: error.message }, true);
+    throw error;
 }
 
-// 通过网易云 EAPI 搜索歌曲，返回完整歌曲信息
-async function searchNeteaseInfo(keyword, signal, log) {
-    try {
-        const searchBody = {
-            s: keyword,
-            type: 1,
-            limit: 5,
-            total: 'true',
-            offset: 0,
-        };
-
-        const encrypted = neteaseEapiEncrypt('http://music.163.com/api/cloudsearch/pc', searchBody);
-        const searchParams = new URLSearchParams({ params: encrypted.params });
-
-        const searchRes = await fetch(encrypted.url, {
-            method: 'POST',
-            signal,
-            headers: getNeteaseHeaders(),
-            body: searchParams.toString(),
-        });
-
-        const searchData = await searchRes.json();
-        const songs = searchData?.result?.songs;
-
-        if (!songs || songs.length === 0) {
-            return null;
+// 在单个上游上搜索，记录耗时；不抛异常，返回 { upstream, value, attempt }
+// signal 由调度策略控制（对冲模式下用于中止落选的上游），超时另行计时
+async function searchUpstream(upstream, keyword, options, signal, log) {
+    const startedAt = Date.now();
+    // outcome: 计入监控指标的结果（success / failure / timeout），被主动中止的请求不计入
+    const done = (value, attempt, outcome) => {
+        const latency = Date.now() - startedAt;
+        log.info({ upstream: upstream.name, latency, result: attempt.result }, '上游耗时');
+        if (outcome) {
+            upstreamRequests.inc({ upstream: upstream.name, outcome });
+            upstreamLatency.observe({ upstream: upstream.name }, latency / 1000);
         }
+        return { upstream, value, attempt: { ...attempt, latency } };
+    };
 
-        // 优先匹配歌名完全一致的
-        const exactMatch = songs.find(s => s.name === keyword.split(' ')[0]);
-        const song = exactMatch || songs[0];
-
-        log.info({ songId: song.id, title: song.name }, '网易云歌曲匹配');
-
-        return {
-            songId: song.id,
-            title: song.name,
-            singer: song.ar?.map(a => a.name).join('/') || '未知歌手',
-            albumName: song.al?.name || '',
-            picId: song.al?.pic_str || song.al?.pic || '',
-        };
-    } catch (e) {
-        log.warn({ error: e.message }, '网易云搜索失败');
-        return null;
+    const adapter = getAdapter(upstream.type);
+    if (!adapter) {
+        log.warn({ upstream: upstream.name, type: upstream.type }, '未注册的上游类型，已跳过');
+        return { upstream, value: null, attempt: { source: upstream.name, result: 'skipped', reason: '未注册的上游类型' } };
     }
-}
 
-// 酷我 API 适配器（暂时禁用）
-async function searchFromKuwo(upstream, keyword, signal, log) {
-    const searchUrl = `${upstream.url}?name=${encodeURIComponent(keyword)}&page=1&limit=1`;
-    const searchRes = await fetch(searchUrl, {
-        signal,
-        headers: { 'User-Agent': 'HBMusic/1.0' }
-    });
-    const searchData = await searchRes.json();
-
-    if (searchData.code !== 200 || !searchData.data?.length) {
-        return null;
+    // 熔断中的上游直接跳过，不等待它失败
+    if (!canRequest(upstream.name)) {
+        return { upstream, value: null, attempt: { source: upstream.name, result: 'skipped', reason: '熔断中' } };
     }
+    const record = (outcome, error) => {
+        const changed = recordOutcome(upstream.name, outcome, error);
+        if (changed === 'open') log.warn({ upstream: upstream.name, error }, '上游连续失败，熔断开启');
+        if (changed === 'closed') log.info({ upstream: upstream.name }, '上游恢复，熔断关闭');
+    };
 
-    const song = searchData.data[0];
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
+    const onAbort = () => controller.abort();
+    signal.addEventListener('abort', onAbort);
 
-    return {
-        code: 200,
-        title: song.name || '未知歌曲',
-        singer: song.artist || '未知歌手',
-        cover: song.pic || '',
-        link: `https://www.kuwo.cn/play_detail/${song.rid}`,
-        music_url: `${CONFIG.BASE_URL}/fallback-stream?rid=${song.rid}`,
-        lyric: `${CONFIG.BASE_URL}/fallback-lyric?rid=${song.rid}`,
-    };
+    try {
+        const result = await adapter.search(upstream, keyword, controller.signal, log, options);
+        // 无结果也说明上游正常响应
+        record('success');
+        if (result) return done(result, { source: upstream.name, result: 'ok' }, 'success');
+        return done(null, { source: upstream.name, result: 'empty', reason: '无搜索结果' }, 'success');
+    } catch (e) {
+        if (signal.aborted) {
+            record('neutral');
+            return done(null, { source: upstream.name, result: 'aborted', reason: '已有更高优先级的结果' });
+        }
+        const timedOut = e.name === 'AbortError';
+        const reason = timedOut ? '请求超时' : e.message;
+        record('failure', reason);
+        log.warn({ upstream: upstream.name, error: e.message }, '上游请求失败，尝试下一个');
+        return done(null, { source: upstream.name, result: 'error', reason }, timedOut ? 'timeout' : 'failure');
+    } finally {
+        clearTimeout(timeout);
+        signal.removeEventListener('abort', onAbort);
+    }
 }
 
-// ============= 网易云音乐（Meting）适配器 =============
-// 搜索：直连网易云 cloudsearch API（EAPI 加密）
-// 播放链接/歌词：通过 v.iarc.top（内置 VIP Cookie）
+// 按 ID 获取歌曲，结果与搜索共用缓存（键为 音源:ID）
+async function getSongById(upstreams, id, log, options = {}) {
+    const songOptions = getSongOptions(options);
 
-const EAPI_KEY = 'e82ckenh8dichen8';
+    for (const upstream of upstreams) {
+        const cacheKeyword = `song:${upstream.name}:${id}${getVariantSuffix(songOptions)}`;
 
-// 网易云 EAPI 加密
-function neteaseEapiEncrypt(url, body) {
-    const text = JSON.stringify(body);
-    const path = url.replace(/https?:\/\/[^\/]+/, '');
+        const cached = options.refresh ? null : getFromCache(cacheKeyword);
+        if (cached && !cached.negative) {
+            log.info({ source: upstream.name, id, stale: cached.stale }, '命中缓存，跳过上游请求');
+            if (cached.stale) {
+                refreshInBackground(cacheKeyword, log, () => getSongById([upstream], id, log, { ...options, refresh: true }));
+            }
+            return cached.data;
+        }
 
-    const message = `nobody${path}use${text}md5forencrypt`;
-    const digest = crypto.createHash('md5').update(message).digest('hex');
-    const data = `${path}-36cd479b6b5-${text}-36cd479b6b5-${digest}`;
+        try {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
 
-    const cipher = crypto.createCipheriv('aes-128-ecb', Buffer.from(EAPI_KEY, 'utf8'), null);
-    cipher.setAutoPadding(true);
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
+            const result = await getAdapter(upstream.type).getSong(upstream, id, controller.signal, log, songOptions);
+            clearTimeout(timeout);
 
-    return {
-        url: url.replace('/api/', '/eapi/'),
-        params: encrypted.toUpperCase(),
-    };
+            if (result) {
+                const finalResult = finalizeResult(result, upstream);
+                log.info({ title: result.title, source: upstream.name, id }, '按 ID 获取成功');
+                setCache(cacheKeyword, finalResult);
+                return finalResult;
+            }
+        } catch (e) {
+            log.warn({ upstream: upstream.name, id, error: e.message }, '按 ID 获取失败');
+        }
+    }
+    return null;
 }
 
-// 生成网易云请求头
-function getNeteaseHeaders() {
-    const deviceId = crypto.randomBytes(16).toString('hex').toUpperCase();
-    const timestamp = Date.now().toString();
+// 统一加工上游结果：品牌签名、音质、来源
+function finalizeResult(result, upstream) {
+    // 歌词为链接（经 /fallback-lyric 代理）时原样返回，否则加工后输出 LRC 文本
+    const isLyricUrl = typeof result.lyric === 'string' && /^https?:\/\//.test(result.lyric);
+    const { coverId, ...rest } = result;
     return {
-        'Referer': 'music.163.com',
-        'Cookie': `osver=android; appver=8.7.01; os=android; deviceId=${deviceId}; channel=netease; requestId=${timestamp}_${Math.floor(Math.random() * 1000).toString().padStart(4, '0')}`,
-        'User-Agent': 'Mozilla/5.0 (Linux; Android 11) NeteaseMusic/8.7.01',
-        'Content-Type': 'application/x-www-form-urlencoded',
+        ...rest,
+        cover: toCoverProxyUrl(result, upstream),
+        singer: brandSinger(result.singer),
+        lyric: isLyricUrl ? result.lyric : serializeLrc(brandLyric(toLrc(result.lyric))),
+        // 实际交付的音质（上游无法确定时为 null）
+        quality: result.quality || null,
+        source: upstream.name,
     };
 }
 
-async function searchFromMeting(upstream, keyword, signal, log) {
-    // 第一步：通过网易云 cloudsearch API 搜索歌名
-    log.info({ keyword, source: 'netease' }, '尝试网易云搜索...');
+// ============= 多候选搜索 =============
+const SEARCH_MAX_LIMIT = 30;
+// 分页在合并后的列表上进行，每个音源需要取前 page × limit 条，限制翻页深度
+const SEARCH_MAX_DEPTH = 150;
 
-    const searchBody = {
-        s: keyword,
-        type: 1,
-        limit: 5,
-        total: 'true',
-        offset: 0,
-    };
-
-    const encrypted = neteaseEapiEncrypt('http://music.163.com/api/cloudsearch/pc', searchBody);
-    const searchParams = new URLSearchParams({ params: encrypted.params });
-
-    const searchRes = await fetch(encrypted.url, {
-        method: 'POST',
-        signal,
-        headers: getNeteaseHeaders(),
-        body: searchParams.toString(),
-    });
+// 去重用的歌曲指纹：忽略大小写、空白与常见分隔符，歌手顺序无关
+function getSongFingerprint(candidate) {
+    const normalize = (text) => String(text || '').toLowerCase().replace(/[\s·・,，、]/g, '');
+    const artists = String(candidate.artist || '').split(/[/&,，、]/).map(normalize).filter(Boolean).sort();
+    return `${normalize(candidate.title)}|${artists.join('/')}`;
+}
 
-    const searchData = await searchRes.json();
-    const songs = searchData?.result?.songs;
+// 各音源并行取前 page × limit 条，按音源优先级合并去重、按匹配度排序后再分页；重复歌曲保留在 alternatives 中
+async function searchCandidates(keyword, log, options = {}) {
+    const { sources = [], page = 1, limit = 10 } = options;
+    const cacheKeyword = `search:${keyword}#${sources.join(',')}#${page}#${limit}`;
 
-    if (!songs || songs.length === 0) {
-        log.warn({ keyword }, '网易云搜索无结果');
-        return null;
+    const cached = options.refresh ? null : getFromCache(cacheKeyword);
+    if (cached && !cached.negative) {
+        log.info({ keyword, page, stale: cached.stale }, '候选搜索命中缓存');
+        if (cached.stale) {
+            refreshInBackground(cacheKeyword, log, () => searchCandidates(keyword, log, { ...options, refresh: true }));
+        }
+        return cached.data;
     }
 
-    // 从搜索结果中取第一首歌
-    const song = songs[0];
-    const songId = song.id;
-    const title = song.name || keyword;
-    const singer = song.ar?.map(a => a.name).join('/') || '未知歌手';
-    const albumName = song.al?.name || '';
-    const picId = song.al?.pic_str || song.al?.pic || '';
+    const { chain, skipped } = planUpstreams(sources);
+    const attempts = [];
+    const tasks = [];
 
-    log.info({ songId, title, singer }, '网易云搜索命中');
-
-    // 第二步：构造 v.iarc.top 播放链接（直接返回音频流，无需解析 JSON）
-    const musicUrl = `${upstream.url}/?server=netease&type=url&id=${songId}`;
-
-    // 验证播放链接是否可用
-    try {
-        const headRes = await fetch(musicUrl, {
-            method: 'HEAD',
-            signal,
-            headers: { 'User-Agent': 'HBMusic/1.0' },
-        });
-        if (!headRes.ok) {
-            log.warn({ songId, status: headRes.status }, '网易云播放链接不可用');
-            return null;
+    for (const upstream of chain) {
+        const adapter = getAdapter(upstream.type);
+        if (!adapter?.searchList) {
+            attempts.push({ source: upstream.name, result: 'skipped', reason: '不支持多候选搜索' });
+            continue;
         }
-        log.info({ songId }, '网易云播放链接验证通过');
-    } catch (e) {
-        log.warn({ songId, error: e.message }, '网易云播放链接验证失败');
-        return null;
+        tasks.push((async () => {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
+            try {
+                const list = await adapter.searchList(upstream, keyword, { page: 1, limit: page * limit }, controller.signal, log);
+                attempts.push({ source: upstream.name, result: list.length ? 'ok' : 'empty' });
+                return { upstream, list };
+            } catch (e) {
+                log.warn({ upstream: upstream.name, error: e.message }, '候选搜索失败');
+                attempts.push({
+                    source: upstream.name,
+                    result: 'error',
+                    reason: e.name === 'AbortError' ? '请求超时' : e.message,
+                });
+                return { upstream, list: [] };
+            } finally {
+                clearTimeout(timeout);
+            }
+        })());
     }
 
-    // 第三步：通过 v.iarc.top 获取歌词（直接返回 LRC 文本）
-    let lyric = '';
-    try {
-        const lrcRes = await fetch(`${upstream.url}/?server=netease&type=lrc&id=${songId}`, {
-            signal,
-            headers: { 'User-Agent': 'HBMusic/1.0' },
-        });
-        lyric = await lrcRes.text();
-    } catch (e) {
-        log.warn({ songId, error: e.message }, '网易云歌词获取失败');
+    // 按优先级顺序合并
+    const merged = new Map();
+    for (const { upstream, list } of await Promise.all(tasks)) {
+        for (const item of list) {
+            const ref = { source: upstream.name, id: item.id, ref: `${upstream.name}:${item.id}` };
+            const fingerprint = getSongFingerprint(item);
+            const existing = merged.get(fingerprint);
+            if (existing) {
+                existing.alternatives.push(ref);
+                continue;
+            }
+            merged.set(fingerprint, {
+                title: item.title,
+                artist: item.artist,
+                album: item.album,
+                duration: item.duration,
+                ...ref,
+                alternatives: [],
+            });
+        }
     }
 
-    // 第四步：封面（直接用 v.iarc.top 的图片链接）
-    const cover = picId ? `${upstream.url}/?server=netease&type=pic&id=${picId}` : '';
+    if (!tasks.length) {
+        const error = new Error('没有支持多候选搜索的音源');
+        error.attempts = [...attempts, ...skipped];
+        throw error;
+    }
 
-    // 为歌词补充标准 LRC 元数据头（网易云返回的歌词缺少这些标签）
-    if (lyric && !lyric.includes('[ti:')) {
-        const lrcHeader = `[ti:${title}]\n[ar:${singer}]\n[al:${albumName}]\n[by:hbmusic.1yo.cc]\n[offset:0]\n`;
-        lyric = lrcHeader + lyric;
+    // 所有音源都请求失败时报错，避免与"确实没有结果"混淆
+    if (attempts.every(a => a.result !== 'ok' && a.result !== 'empty')) {
+        const error = new Error('所有音源均请求失败');
+        error.attempts = [...attempts, ...skipped];
+        throw error;
     }
 
-    return {
+    // 合并后统一按匹配度排序（同分保持音源优先级顺序），再取第 page 页
+    const ranked = rankCandidates(keyword, [...merged.values()]).map(({ item }) => item);
+    const results = ranked.slice((page - 1) * limit, page * limit);
+    const response = {
         code: 200,
-        title,
-        singer,
-        cover,
-        link: `https://music.163.com/song?id=${songId}`,
-        music_url: musicUrl,
-        lyric: lyric || '',
+        keyword,
+        page,
+        limit,
+        hasMore: ranked.length > page * limit,
+        results,
+        attempts: [...attempts, ...skipped],
     };
+    if (results.length) setCache(cacheKeyword, response);
+    return response;
+}
+
+// 依次在某音源的各个上游上执行 fn(upstream, signal)，返回第一个有效结果
+async function callUpstreamsFor(adapter, log, fn) {
+    for (const upstream of getUpstreamsFor(adapter)) {
+        try {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), CONFIG.UPSTREAM_TIMEOUT);
+
+            const value = await fn(upstream, controller.signal);
+            clearTimeout(timeout);
+
+            if (value) return value;
+        } catch (e) {
+            log.warn({ upstream: upstream.name, error: e.message }, '上游按 ID 请求失败');
+        }
+    }
+    return null;
 }
 
 async function fetchWithRetry(url, options = {}) {
@@ -927,9 +1216,95 @@ async function fetchWithRetry(url, options = {}) {
     throw lastError;
 }
 
+// ============= 点歌统计 =============
+const STATS_DEFAULT_LIMIT = 20;
+const STATS_MAX_LIMIT = 100;
+const STATS_QUERY_ERROR = `period 参数无效，可选 ${Object.keys(ANALYTICS_PERIODS).join(' / ')}`;
+
+function parseStatsQuery(query) {
+    const period = query.period || 'day';
+    if (!ANALYTICS_PERIODS[period]) return null;
+    const limit = Math.min(Math.max(parseInt(query.limit) || STATS_DEFAULT_LIMIT, 1), STATS_MAX_LIMIT);
+    return { period, limit };
+}
+
+// 记录一次点歌（/ 接口），只保存规范化的关键词与结果，不记录用户标识
+function recordLookup(keyword, startedAt, result, error) {
+    const event = { time: Date.now(), keyword: getCacheKey(keyword), latency: Date.now() - startedAt };
+    if (result) {
+        const cached = ['cached', 'stale'].includes(result.attempts?.[0]?.result);
+        Object.assign(event, {
+            title: result.title,
+            artist: unbrandSinger(result.singer),
+            source: result.source,
+            outcome: cached ? 'cached' : 'ok',
+        });
+    } else {
+        Object.assign(event, { outcome: error.notFound ? 'not_found' : 'error', reason: error.message });
+    }
+    analytics.record(event);
+}
+
+// 启动时按本周热门预热搜索缓存（依次请求，避免集中打到上游）
+async function prewarmCache(limit, log) {
+    const songs = analytics.getTop(ANALYTICS_PERIODS.week, limit);
+    let warmed = 0;
+    for (const song of songs) {
+        try {
+            await searchAndGetSong(song.keyword, log);
+            warmed++;
+        } catch (e) {
+            log.warn({ keyword: song.keyword, error: e.message }, '缓存预热失败');
+        }
+    }
+    log.info({ warmed, total: songs.length }, '热门歌曲缓存预热完成');
+}
+
+// ============= 可用率历史 =============
+const HISTORY_CELLS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 参与搜索的上游的可用率条（每格 15 分钟）与近 24 小时 / 7 天可用率，及总体状态变化记录
+function getHealthHistoryReport(upstreams) {
+    const now = Date.now();
+    return {
+        upstreams: upstreams.map(u => ({
+            name: u.name,
+            title: u.title,
+            uptime: {
+                day: healthHistory.getUptime(u.name, DAY_MS, now),
+                week: healthHistory.getUptime(u.name, 7 * DAY_MS, now),
+            },
+            bars: healthHistory.getBars(u.name, HISTORY_CELLS, now)
+                .map(bar => ({ start: new Date(bar.start).toISOString(), ratio: bar.ratio })),
+        })),
+        incidents: healthHistory.getIncidents()
+            .map(incident => ({ ...incident, time: new Date(incident.time).toISOString() })),
+    };
+}
+
+function formatUptime(ratio) {
+    return ratio === null ? '--' : `${(ratio * 100).toFixed(ratio === 1 ? 0 : 2)}%`;
+}
+
+function getUptimeColor(ratio) {
+    if (ratio === null) return '#E5E5EA';
+    if (ratio >= 0.99) return '#07C160';
+    if (ratio >= 0.5) return '#FF9500';
+    return '#FF3B30';
+}
+
+function formatDuration(ms) {
+    if (ms === null) return '持续中';
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    if (minutes < 60) return `持续 ${minutes} 分钟`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `持续 ${hours} 小时 ${minutes % 60} 分钟` : `持续 ${hours} 小时`;
+}
+
 // ============= 完整前端状态页 =============
 
-function getStatusPageHTML(health) {
+function getStatusPageHTML(health, history) {
     const hexToRgb = (hex) => {
         const r = parseInt(hex.slice(1, 3), 16);
         const g = parseInt(hex.slice(3, 5), 16);
@@ -1022,6 +1397,16 @@ function getStatusPageHTML(health) {
         .upstream-status { display: flex; gap: 12px; justify-content: center; margin-bottom: 16px; flex-wrap: wrap; }
         .upstream-item { display: inline-flex; align-items: center; font-size: 12px; color: #666; background: rgba(0,0,0,0.03); padding: 4px 10px; border-radius: 16px; }
         .upstream-dot { width: 6px; height: 6px; border-radius: 50%; margin-right: 5px; flex-shrink: 0; }
+        .history { text-align: left; margin-bottom: 16px; }
+        .history-row { margin-bottom: 10px; }
+        .history-head { display: flex; justify-content: space-between; font-size: 12px; color: #666; margin-bottom: 4px; }
+        .history-bar { display: flex; gap: 1px; height: 20px; }
+        .history-cell { flex: 1; border-radius: 1px; }
+        .history-axis { display: flex; justify-content: space-between; font-size: 11px; color: #999; margin-bottom: 12px; }
+        .incidents { background: rgba(255, 255, 255, 0.5); border-radius: 12px; padding: 10px 14px; font-size: 12px; color: #666; line-height: 1.8; }
+        .incidents-title { font-weight: 600; color: #333; margin-bottom: 4px; }
+        .incident { display: flex; align-items: center; }
+        .incident time { margin-right: 6px; color: #999; }
         .status-dot { width: 8px; height: 8px; background: var(--status-color); border-radius: 50%; margin-right: 8px; position: relative; }
         .status-dot::after { content: ''; position: absolute; top: -4px; left: -4px; right: -4px; bottom: -4px; background: var(--status-color); border-radius: 50%; opacity: 0.4; animation: dotGlow 2s infinite; }
         @keyframes dotGlow { 0% { transform: scale(1); opacity: 0.4; } 100% { transform: scale(2.5); opacity: 0; } }
@@ -1284,7 +1669,33 @@ function getStatusPageHTML(health) {
                 <div class="status-dot"></div>
                 ${health.text}
             </div>
-            <div class="url-box" id="apiUrl" onclick="copyUrl()">https://hbmusic.1yo.cc/?name=</div>
+            <div class="upstream-status">
+                ${health.upstreams.map(u => {
+                    const open = u.breaker?.state !== 'closed';
+                    const color = open ? '#FF9500' : (u.status === 'offline' ? '#FF3B30' : '#07C160');
+                    const label = u.breaker?.state === 'open' ? '熔断中' : (u.breaker?.state === 'half-open' ? '恢复中' : u.label);
+                    return `<span class="upstream-item"><span class="upstream-dot" style="background: ${color}"></span>${u.title} · ${label}</span>`;
+                }).join('')}
+            </div>
+            <div class="history">
+                ${history.upstreams.map(u => `
+                <div class="history-row">
+                    <div class="history-head"><span>${u.title}</span><span>24 小时 ${formatUptime(u.uptime.day)} · 7 天 ${formatUptime(u.uptime.week)}</span></div>
+                    <div class="history-bar">${u.bars.map(bar =>
+                        `<span class="history-cell" style="background: ${getUptimeColor(bar.ratio)}" data-start="${bar.start}" data-ratio="${bar.ratio ?? ''}"></span>`
+                    ).join('')}</div>
+                </div>`).join('')}
+                <div class="history-axis"><span>${HISTORY_CELLS * BUCKET_MS / 3600000} 小时前</span><span>现在</span></div>
+                <div class="incidents">
+                    <div class="incidents-title">近 ${CONFIG.HEALTH_HISTORY_DAYS} 天状态变化</div>
+                    ${history.incidents.length ? history.incidents.slice(0, 10).map(incident => `
+                    <div class="incident">
+                        <span class="upstream-dot" style="background: ${incident.to === 'error' ? '#FF3B30' : '#07C160'}"></span>
+                        <time data-ts="${incident.time}"></time>${incident.text} · ${formatDuration(incident.duration)}
+                    </div>`).join('') : '<div>服务状态无变化</div>'}
+                </div>
+            </div>
+            <div class="url-box" id="apiUrl" onclick="copyUrl()">${getAdvertisedUrl()}/?name=</div>
             <button class="copy-btn" onclick="copyUrl()">一键复制地址</button>
             
             <div class="help-toggle" onclick="toggleHelp(this)">
@@ -1356,6 +1767,14 @@ function getStatusPageHTML(health) {
             });
         }
         
+        // 可用率历史按浏览器本地时间显示
+        const formatTime = (iso) => new Date(iso).toLocaleString('zh-CN', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        document.querySelectorAll('.history-cell').forEach(cell => {
+            const ratio = cell.dataset.ratio;
+            cell.title = formatTime(cell.dataset.start) + (ratio === '' ? ' 无数据' : ' 可用率 ' + Math.round(ratio * 100) + '%');
+        });
+        document.querySelectorAll('time[data-ts]').forEach(el => { el.textContent = formatTime(el.dataset.ts); });
+
         function toggleHelp(el) {
             el.classList.toggle('active');
             const content = document.getElementById('helpContent');
@@ -1370,14 +1789,43 @@ function getStatusPageHTML(health) {
 }
 
 // ============= 启动服务 =============
+await loadAdapterModules(CONFIG.ADAPTER_MODULES, app.log);
+applySourcePriority(parseSourceList(CONFIG.SOURCE_PRIORITY), app.log);
+await analytics.load();
+
+if (isAdminEnabled()) {
+    await app.register(adminRoutes, { prefix: CONFIG.ADMIN_PREFIX, searchCache, getCacheStats });
+    app.log.info({ prefix: CONFIG.ADMIN_PREFIX }, '管理接口已开启');
+}
+
+// 退出前把缓存落盘
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        await app.close();
+        searchCache.flush();
+        audioCache?.flush();
+        coverCache?.flush();
+        analytics.close();
+        process.exit(0);
+    });
+}
+
 try {
     await app.listen({ port: CONFIG.PORT, host: CONFIG.HOST });
+    startHealthProber(app.log);
+    if (CONFIG.ANALYTICS_PREWARM > 0) prewarmCache(CONFIG.ANALYTICS_PREWARM, app.log);
+    if (CONFIG.METRICS_ENABLED && CONFIG.METRICS_PORT) {
+        const metricsApp = Fastify();
+        metricsApp.get('/metrics', sendMetrics);
+        await metricsApp.listen({ port: CONFIG.METRICS_PORT, host: CONFIG.METRICS_HOST });
+        app.log.info({ port: CONFIG.METRICS_PORT }, '监控指标已在独立端口提供');
+    }
     console.log(`
 ╔═══════════════════════════════════════════════════╗
 ║          🎵 HBMusic 点歌服务已启动                ║
 ╠═══════════════════════════════════════════════════╣
 ║  地址: http://${CONFIG.HOST}:${CONFIG.PORT}
-║  上游: ${CONFIG.QQMUSIC_API}
+║  上游: ${UPSTREAMS.filter(u => u.enabled).map(u => u.name).join(' → ')}
 ╚═══════════════════════════════════════════════════╝
   `);
 } catch (err) {
@@ -0,0 +1,184 @@
+/**
+ * HBMusic - LRC 歌词解析与生成
+ *
+ * 歌词模型：
+ * {
+ *   tags:  { ti, ar, al, by, offset, ... }          元数据标签（键名小写）
+ *   lines: [{ time, text, words? }]                 按时间排序，time 为毫秒
+ * }
+ * words 为逐字时间（增强型 LRC 的 <mm:ss.xx>），结构 [{ time, text }]。
+ * 一行带多个时间戳（[00:12.00][00:45.00]副歌）时展开为多行。
+ * 所有编辑函数返回新模型，不修改传入的对象。
+ */
+
+const TIME_TAG = /^\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+const META_TAG = /^\[([a-zA-Z#]+):(.*)\]$/;
+const WORD_TAG = /<(\d+):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+
+// 序列化时常见标签的输出顺序，其余标签按原顺序排在后面
+const TAG_ORDER = ['ti', 'ar', 'al', 'au', 'by', 're', 've', 'length', 'offset'];
+
+function toMs(minutes, seconds, fraction = '') {
+    return Number(minutes) * 60000 + Number(seconds) * 1000 + Number(fraction.padEnd(3, '0'));
+}
+
+// 毫秒 → mm:ss.xx（不足 10 毫秒精度时保留三位小数）
+export function formatLrcTime(ms) {
+    const total = Math.max(0, Math.round(ms));
+    const minutes = Math.floor(total / 60000);
+    const seconds = Math.floor(total % 60000 / 1000);
+    const millis = total % 1000;
+    const fraction = millis % 10 === 0
+        ? String(millis / 10).padStart(2, '0')
+        : String(millis).padStart(3, '0');
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${fraction}`;
+}
+
+// 解析增强型 LRC 的逐字时间，无逐字时间时 words 为 null
+// 第一个逐字时间之前的文字（如「[01:00.00]前奏 <01:00.50>词」）作为一个从行首时间开始的字保留，序列化时不丢失
+function parseWords(content, lineTime) {
+    const matches = [...content.matchAll(WORD_TAG)];
+    if (matches.length === 0) return { text: content.trim(), words: null };
+
+    const words = matches.map((m, i) => ({
+        time: toMs(m[1], m[2], m[3]),
+        text: content.slice(m.index + m[0].length, matches[i + 1]?.index ?? content.length),
+    }));
+    const leading = content.slice(0, matches[0].index);
+    if (leading.trim()) words.unshift({ time: lineTime, text: leading });
+    return { text: words.map(w => w.text).join('').trim(), words };
+}
+
+function sortLines(lines) {
+    // Array.prototype.sort 是稳定排序，相同时间保持原有先后
+    return [...lines].sort((a, b) => a.time - b.time);
+}
+
+export function parseLrc(text) {
+    const tags = {};
+    const lines = [];
+
+    for (const raw of String(text || '').split(/\r?\n/)) {
+        let rest = raw.trim();
+        if (!rest) continue;
+
+        const times = [];
+        let match;
+        while ((match = TIME_TAG.exec(rest))) {
+            times.push(toMs(match[1], match[2], match[3]));
+            rest = rest.slice(match[0].length);
+        }
+
+        if (times.length > 0) {
+            const { text: lineText, words } = parseWords(rest, times[0]);
+            for (const time of times) {
+                const line = { time, text: lineText };
+                // 重复时间戳的行，逐字时间随行首时间平移
+                if (words) line.words = words.map(w => ({ time: w.time + time - times[0], text: w.text }));
+                lines.push(line);
+            }
+            continue;
+        }
+
+        const meta = rest.match(META_TAG);
+        if (meta) tags[meta[1].toLowerCase()] = meta[2].trim();
+        // 既无时间戳也不是标签的行不属于 LRC，忽略
+    }
+
+    return { tags, lines: sortLines(lines) };
+}
+
+export function serializeLrc(lrc) {
+    if (!lrc || (lrc.lines.length === 0 && Object.keys(lrc.tags).length === 0)) return '';
+
+    const tagKeys = [
+        ...TAG_ORDER.filter(key => key in lrc.tags),
+        ...Object.keys(lrc.tags).filter(key => !TAG_ORDER.includes(key)),
+    ];
+    const output = tagKeys.map(key => `[${key}:${lrc.tags[key]}]`);
+
+    for (const line of lrc.lines) {
+        const content = line.words
+            ? line.words.map(w => `<${formatLrcTime(w.time)}>${w.text}`).join('')
+            : line.text;
+        output.push(`[${formatLrcTime(line.time)}]${content}`);
+    }
+
+    return output.join('\n') + '\n';
+}
+
+// 统一输入：LRC 文本、歌词模型或空值 → 歌词模型
+export function toLrc(value) {
+    if (value && typeof value === 'object' && Array.isArray(value.lines)) return value;
+    return parseLrc(typeof value === 'string' ? value : '');
+}
+
+// 仅补充缺失的标签，已有标签保持不变；空值不写入
+export function withDefaultTags(lrc, defaults) {
+    const filled = Object.fromEntries(
+        Object.entries(defaults).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return { ...lrc, tags: { ...filled, ...lrc.tags } };
+}
+
+export function setTag(lrc, key, value) {
+    return { ...lrc, tags: { ...lrc.tags, [key]: value } };
+}
+
+// 按内容过滤歌词行与标签，predicate 返回 false 的条目被移除
+export function filterLyric(lrc, predicate) {
+    return {
+        tags: Object.fromEntries(Object.entries(lrc.tags).filter(([, value]) => predicate(value))),
+        lines: lrc.lines.filter(line => predicate(line.text)),
+    };
+}
+
+// 插入歌词行（{ time, text }），按时间归位
+export function insertLines(lrc, newLines) {
+    return { ...lrc, lines: sortLines([...lrc.lines, ...newLines]) };
+}
+
+// 附加歌词轨（翻译、音译）的合并方式
+export const LYRIC_TRACK_MODES = ['none', 'merge', 'only'];
+
+// 合并附加歌词轨 [{ lyric, mode }]：
+// merge 将附加轨的行插在原文同一时间戳之后（按传入顺序排列）；
+// only 用附加轨替换同一时间戳的原文，附加轨缺失的行保留原文（多个 only 时以最后一个为准）
+export function combineLyricTracks(original, tracks) {
+    const usable = tracks.filter(t => t.lyric?.lines.length && t.mode !== 'none');
+    const replacement = usable.findLast(t => t.mode === 'only');
+
+    let base = original;
+    if (replacement) {
+        const byTime = new Map(replacement.lyric.lines.filter(l => l.text).map(l => [l.time, l.text]));
+        base = {
+            ...original,
+            lines: original.lines.map(line => byTime.has(line.time) ? { time: line.time, text: byTime.get(line.time) } : line),
+        };
+    }
+
+    const merged = usable
+        .filter(t => t.mode === 'merge')
+        .flatMap(t => t.lyric.lines.filter(l => l.text));
+    return insertLines(base, merged);
+}
+
+// 整体平移时间轴（正数为延后），早于 0 的时间截断为 0
+export function shiftLyric(lrc, deltaMs) {
+    const shift = time => Math.max(0, time + deltaMs);
+    return {
+        ...lrc,
+        lines: lrc.lines.map(line => ({
+            ...line,
+            time: shift(line.time),
+            ...(line.words && { words: line.words.map(w => ({ ...w, time: shift(w.time) })) }),
+        })),
+    };
+}
+
+// 将 [offset:] 标签折算进时间轴并移除该标签（offset 为正表示歌词提前显示）
+export function applyOffset(lrc) {
+    const offset = parseInt(lrc.tags.offset) || 0;
+    const { offset: _removed, ...tags } = lrc.tags;
+    return { ...shiftLyric(lrc, -offset), tags };
+}
@@ -0,0 +1,103 @@
+/**
+ * HBMusic - 歌词格式转换
+ *
+ * 由歌词模型（见 lrc.js）输出 LRC / SRT / WebVTT / JSON / 纯文本。
+ * 每行的结束时间取下一行的开始时间，最后一行取歌曲时长（未知时顺延 LAST_LINE_DURATION）。
+ */
+
+import { serializeLrc, applyOffset } from './lrc.js';
+
+export const LYRIC_FORMATS = ['lrc', 'srt', 'vtt', 'json', 'txt'];
+
+const LAST_LINE_DURATION = 5000;
+
+// [length:03:45] 标签 → 毫秒
+function parseLengthTag(value) {
+    const match = /^(\d+):(\d{1,2})(?:\.(\d{1,3}))?$/.exec(value || '');
+    if (!match) return 0;
+    return Number(match[1]) * 60000 + Number(match[2]) * 1000 + Number((match[3] || '').padEnd(3, '0'));
+}
+
+// 计算每行的起止时间；空白行（间奏标记）只作为上一行的结束时间，不单独输出
+export function toTimedLines(lrc, durationMs) {
+    const { lines } = applyOffset(lrc);
+    const duration = durationMs || parseLengthTag(lrc.tags.length);
+    const timed = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.text) continue;
+
+        const next = lines.slice(i + 1).find(l => l.time > line.time);
+        const end = next ? next.time
+            : (duration > line.time ? duration : line.time + LAST_LINE_DURATION);
+
+        const item = { start: line.time, end, text: line.text };
+        if (line.words) {
+            item.words = line.words.map((w, j) => ({
+                start: w.time,
+                end: line.words[j + 1]?.time ?? end,
+                text: w.text,
+            }));
+        }
+        timed.push(item);
+    }
+    return timed;
+}
+
+// 毫秒 → HH:MM:SS{sep}mmm（SRT 用逗号，WebVTT 用句点）
+function formatCueTime(ms, sep) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms % 3600000 / 60000);
+    const seconds = Math.floor(ms % 60000 / 1000);
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+function escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 返回 { contentType, body }，body 为字符串或（json 格式）对象
+export function renderLyric(lrc, format, { durationMs, title, artist } = {}) {
+    if (format === 'lrc') {
+        return { contentType: 'text/plain; charset=utf-8', body: serializeLrc(lrc) };
+    }
+
+    const lines = toTimedLines(lrc, durationMs);
+
+    switch (format) {
+        case 'srt':
+            return {
+                contentType: 'application/x-subrip; charset=utf-8',
+                body: lines.map((line, i) =>
+                    `${i + 1}\n${formatCueTime(line.start, ',')} --> ${formatCueTime(line.end, ',')}\n${line.text}\n`
+                ).join('\n'),
+            };
+        case 'vtt':
+            return {
+                contentType: 'text/vtt; charset=utf-8',
+                body: 'WEBVTT\n\n' + lines.map(line =>
+                    `${formatCueTime(line.start, '.')} --> ${formatCueTime(line.end, '.')}\n${escapeVtt(line.text)}\n`
+                ).join('\n'),
+            };
+        case 'json':
+            return {
+                contentType: 'application/json; charset=utf-8',
+                body: {
+                    title: title || lrc.tags.ti || '',
+                    artist: artist || lrc.tags.ar || '',
+                    // 时间单位均为毫秒
+                    duration: durationMs || lines.at(-1)?.end || 0,
+                    lines,
+                },
+            };
+        case 'txt':
+            return {
+                contentType: 'text/plain; charset=utf-8',
+                body: lines.map(line => line.text).join('\n') + (lines.length ? '\n' : ''),
+            };
+        default:
+            throw new Error(`不支持的歌词格式: ${format}`);
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * HBMusic - Prometheus 指标
+ *
+ * 进程内注册表，/metrics 以 Prometheus 文本格式（0.0.4）输出。
+ * - createCounter / createHistogram: 由业务代码在事件发生时累加
+ * - addCollector: 抓取时读取现有统计（如搜索缓存计数），避免重复记账
+ */
+
+const metrics = [];
+const collectors = [];
+
+// 上游请求耗时分桶（秒），覆盖 UPSTREAM_TIMEOUT 默认的 15 秒
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return String(value);
+}
+
+// 按 labelNames 的顺序取值，缺失的标签记为空字符串
+function pickLabels(labelNames, labels = {}) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+export function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+    const metric = {
+        name, help, type: 'counter',
+        samples: () => [...series.values()].map(({ labels, value }) => ({ name, labels, value })),
+    };
+    metrics.push(metric);
+
+    return {
+        inc(labels, value = 1) {
+            const picked = pickLabels(labelNames, labels);
+            const key = JSON.stringify(picked);
+            const entry = series.get(key) || { labels: picked, value: 0 };
+            entry.value += value;
+            series.set(key, entry);
+        },
+    };
+}
+
+export function createHistogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const series = new Map();
+    const metric = {
+        name, help, type: 'histogram',
+        samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((le, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(le) }, value: counts[i] })),
+            { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+            { name: `${name}_sum`, labels, value: sum },
+            { name: `${name}_count`, labels, value: count },
+        ]),
+    };
+    metrics.push(metric);
+
+    return {
+        observe(labels, value) {
+            const picked = pickLabels(labelNames, labels);
+            const key = JSON.stringify(picked);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+            entry.sum += value;
+            entry.count++;
+        },
+    };
+}
+
+// collect() 返回 [{ name, help, type, samples: [{ labels, value }] }]
+export function addCollector(collect) {
+    collectors.push(collect);
+}
+
+export function renderMetrics() {
+    const families = [
+        ...metrics.map(m => ({ name: m.name, help: m.help, type: m.type, samples: m.samples() })),
+        ...collectors.flatMap(collect => collect().map(family => ({
+            ...family,
+            samples: family.samples.map(s => ({ name: family.name, ...s })),
+        }))),
+    ];
+
+    const output = [];
+    for (const family of families) {
+        output.push(`# HELP ${family.name} ${family.help}`);
+        output.push(`# TYPE ${family.name} ${family.type}`);
+        for (const sample of family.samples) {
+            output.push(`${sample.name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+        }
+    }
+    return output.join('\n') + '\n';
+}
@@ -0,0 +1,51 @@
+/**
+ * HBMusic - JSON 快照落盘
+ *
+ * 搜索缓存、磁盘缓存索引、可用率历史共用的持久化工具：
+ * - readJsonSnapshot: 启动时恢复，文件不存在时静默返回 null，损坏时记录警告后返回 null
+ * - writeJsonAtomic:  先写临时文件再重命名，进程在写入途中退出也不会留下半个文件
+ * - createDebouncedFlush: 把频繁的修改合并为延迟的一次落盘
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const FLUSH_DELAY = 5000;
+
+// label 为日志中的数据名称，如「搜索缓存文件」
+export function readJsonSnapshot(file, { log, label }) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') log.warn({ file, error: e.message }, `${label}读取失败，已忽略`);
+        return null;
+    }
+}
+
+export function writeJsonAtomic(file, data, { log, label }) {
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+        fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+        log.error({ file, error: e.message }, `${label}落盘失败`);
+    }
+}
+
+// 返回 { schedule, flush }：schedule() 在 delay 毫秒后落盘一次，期间的多次调用合并；flush() 立即落盘
+export function createDebouncedFlush(write, delay = FLUSH_DELAY) {
+    let timer = null;
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        write();
+    }
+
+    return {
+        schedule() {
+            if (!timer) timer = setTimeout(flush, delay);
+        },
+        flush,
+    };
+}
@@ -0,0 +1,49 @@
+/**
+ * HBMusic - 音质等级
+ *
+ * 统一音质档位：128k < 320k < flac
+ * 各适配器把档位映射为自己上游的参数，高档位不可用时逐级降档
+ */
+
+// 从低到高
+export const QUALITY_LEVELS = ['128k', '320k', 'flac'];
+
+const QUALITY_ALIASES = {
+    '128': '128k', '128k': '128k', 'standard': '128k',
+    '320': '320k', '320k': '320k', 'exhigh': '320k', 'hq': '320k',
+    'flac': 'flac', 'lossless': 'flac', 'sq': 'flac',
+};
+
+// 规范化音质参数，无法识别时返回 null
+export function normalizeQuality(value) {
+    if (!value) return null;
+    return QUALITY_ALIASES[String(value).trim().toLowerCase()] || null;
+}
+
+// 降档顺序：flac → 320k → 128k（未知档位按 320k 处理）
+export function getQualityFallbacks(quality) {
+    const index = QUALITY_LEVELS.includes(quality) ? QUALITY_LEVELS.indexOf(quality) : QUALITY_LEVELS.indexOf('320k');
+    return QUALITY_LEVELS.slice(0, index + 1).reverse();
+}
+
+// 按期望音质解析播放链接，不可用时逐级降档，返回 { url, quality }
+// 适配器的 resolveStream 可返回链接字符串（按请求的档位交付），
+// 或 { url, quality } 报告实际交付的档位（无法确定时 quality 为 null）
+// hints.duration: 歌曲时长（秒），供适配器按文件大小估算码率
+export async function resolveStreamWithQuality(adapter, upstream, id, quality, signal, log, hints = {}) {
+    const tiers = adapter.qualities
+        ? getQualityFallbacks(quality).filter(q => adapter.qualities.includes(q))
+        : [null];
+
+    for (const tier of tiers) {
+        const result = await adapter.resolveStream(upstream, id, signal, log, tier, hints);
+        if (!result) continue;
+
+        const { url, quality: delivered = tier } = typeof result === 'string' ? { url: result } : result;
+        if (delivered && delivered !== quality) {
+            log.info({ upstream: upstream.name, id, requested: quality, delivered }, '音质已降档');
+        }
+        return { url, quality: delivered };
+    }
+    return null;
+}
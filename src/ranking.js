@@ -0,0 +1,108 @@
+/**
+ * HBMusic - 搜索结果排序
+ *
+ * 把关键词解析为「歌名 + 歌手」，按歌名相似度、歌手重合度给候选打分；
+ * Live、DJ、伴奏、Remix、翻唱等版本标记在用户没有要求时降权。
+ * 所有适配器从上游拿到候选列表后都用 rankCandidates 选歌，保证各音源挑歌口径一致。
+ */
+
+// 版本标记：候选命中且关键词未要求时扣分
+// 英文标记按整词匹配，避免「Oliver」「Discover」这类歌名、歌手名误判
+const VERSION_MARKERS = [
+    /\blive\b|现场|演唱会/i,
+    /\bdj\b/i,
+    /伴奏|\binstrumental\b|纯音乐|\bkaraoke\b|\boff\s*vocal\b/i,
+    /\bremix\b|混音版|\bmix\b/i,
+    /翻唱|翻自|\bcover\b/i,
+    /加速|降速|\bsped\s*up\b|\bslowed\b/i,
+];
+
+const SCORE_WEIGHTS = { title: 60, artist: 30, version: 25, requestedVersion: 10 };
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+// 去掉歌名中的括号注释（如「晴天 (Live)」），版本信息另行判断
+function stripAnnotations(title) {
+    return String(title || '').replace(/[(（\[【][^)）\]】]*[)）\]】]/g, '').replace(/\s+-\s+.*$/, '');
+}
+
+function splitArtists(artist) {
+    return String(artist || '').split(/[/&,，、;；]|\s+feat\.?\s+/i).map(normalize).filter(Boolean);
+}
+
+// 二元组 Dice 系数，完全相同为 1
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return a.includes(b) || b.includes(a) ? 0.5 : 0;
+
+    const bigrams = (text) => {
+        const counts = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const gram = text.slice(i, i + 2);
+            counts.set(gram, (counts.get(gram) || 0) + 1);
+        }
+        return counts;
+    };
+    const aGrams = bigrams(a);
+    const bGrams = bigrams(b);
+    let overlap = 0;
+    for (const [gram, count] of aGrams) {
+        overlap += Math.min(count, bGrams.get(gram) || 0);
+    }
+    return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+// 关键词的所有「歌名 / 歌手」解读：整体作为歌名，以及按空格、横线切分后的前后两种顺序
+export function parseKeyword(keyword) {
+    const text = String(keyword || '').trim();
+    const tokens = text.split(/\s+-\s+|\s+|\s*[-—]\s*/).filter(Boolean);
+    const readings = [{ title: text, artist: '' }];
+
+    for (let i = 1; i < tokens.length; i++) {
+        const head = tokens.slice(0, i).join(' ');
+        const tail = tokens.slice(i).join(' ');
+        readings.push({ title: head, artist: tail }, { title: tail, artist: head });
+    }
+    return readings;
+}
+
+function scoreReading(candidate, reading) {
+    const titleScore = similarity(normalize(stripAnnotations(candidate.title)), normalize(reading.title));
+
+    let artistScore = 0;
+    if (reading.artist) {
+        const wanted = splitArtists(reading.artist);
+        const actual = splitArtists(candidate.artist);
+        const matched = wanted.filter(w => actual.some(a => a.includes(w) || w.includes(a) || similarity(a, w) >= 0.8));
+        artistScore = wanted.length ? matched.length / wanted.length : 0;
+    }
+    return titleScore * SCORE_WEIGHTS.title + artistScore * SCORE_WEIGHTS.artist;
+}
+
+// 单个候选得分，candidate 需包含 { title, artist, album }
+export function scoreCandidate(candidate, keyword, readings = parseKeyword(keyword)) {
+    const best = Math.max(...readings.map(reading => scoreReading(candidate, reading)));
+
+    // 版本标记：未要求的扣分，关键词里点名要的（如「晴天 live」）加分
+    const versionText = `${candidate.title || ''} ${candidate.album || ''}`;
+    const markers = VERSION_MARKERS.filter(marker => marker.test(versionText));
+    const requested = markers.filter(marker => marker.test(keyword)).length;
+    return best - (markers.length - requested) * SCORE_WEIGHTS.version + requested * SCORE_WEIGHTS.requestedVersion;
+}
+
+// 按得分从高到低排序（同分保持上游原有顺序）；toCandidate 把上游原始对象转换为 { title, artist, album }
+export function rankCandidates(keyword, items, toCandidate = item => item) {
+    const readings = parseKeyword(keyword);
+    return items
+        .map((item, index) => ({ item, index, score: scoreCandidate(toCandidate(item), keyword, readings) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ item, score }) => ({ item, score }));
+}
+
+// 选出最佳候选，返回 { item, score }，列表为空时返回 null
+export function pickBestCandidate(keyword, items, toCandidate) {
+    return rankCandidates(keyword, items, toCandidate)[0] || null;
+}
@@ -0,0 +1,61 @@
+/**
+ * HBMusic - 令牌桶限流
+ *
+ * 每个客户端一个令牌桶：容量为 burst，按 rate（每分钟）匀速补充。
+ * 请求消耗一个令牌，桶空时拒绝并给出需要等待的秒数。
+ */
+
+const CLEANUP_INTERVAL = 60000;
+
+export function createRateLimiter({ rate, burst }) {
+    const buckets = new Map();
+    const refillPerMs = rate / 60000;
+
+    // 定期清理已补满的桶，避免长期累积
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= burst) buckets.delete(key);
+        }
+    }, CLEANUP_INTERVAL);
+    cleanup.unref();
+
+    return {
+        // 返回 { allowed, retryAfter(秒) }
+        take(key) {
+            const now = Date.now();
+            const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+            bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+            bucket.updatedAt = now;
+            buckets.set(key, bucket);
+
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return { allowed: true, retryAfter: 0 };
+            }
+            return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+        },
+    };
+}
+
+// 按 IP 匹配列表（限流白名单、可信代理）：IPv4 CIDR（如 10.0.0.0/8），其余条目按 IP 字符串完全匹配
+function ipv4ToInt(ip) {
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(p => !Number.isInteger(p) || p < 0 || p > 255)) return null;
+    return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+export function matchesIp(entries, ip) {
+    if (!ip) return false;
+    const ipInt = ipv4ToInt(ip.replace(/^::ffff:/, ''));
+    return entries.some(entry => {
+        if (entry === ip) return true;
+        if (!entry.includes('/')) return false;
+
+        const [range, bits] = entry.split('/');
+        const rangeInt = ipv4ToInt(range);
+        if (rangeInt === null || ipInt === null) return false;
+        const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+        return (rangeInt & mask) === (ipInt & mask);
+    });
+}
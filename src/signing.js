@@ -0,0 +1,51 @@
+/**
+ * HBMusic - 播放 / 歌词链接签名
+ *
+ * /fallback-stream、/fallback-lyric 链接带过期时间（expires，Unix 秒）与 HMAC-SHA256 签名（sig），
+ * 使链接无法被伪造或无限期转发。/song 等接口仍可按 ID 领取签名链接，滥用靠限流约束。签名只覆盖资源标识（SIGNED_PARAMS），
+ * 客户端追加的 wxid、format 等参数不影响校验。
+ *
+ * URL_SIGN_MODE：
+ * - enforce: 拒绝缺少签名、签名错误或已过期的请求
+ * - grace:   迁移期，放行未签名的旧链接（记录日志），带签名的链接仍需有效
+ * - off:     不签名也不校验
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from './config.js';
+
+const SIGNED_PARAMS = ['mid', 'rid', 'id', 'quality', 'expires'];
+
+function computeSignature(path, params) {
+    const canonical = SIGNED_PARAMS
+        .filter(name => params[name] !== undefined && params[name] !== '')
+        .map(name => `${name}=${params[name]}`)
+        .join('&');
+    return crypto.createHmac('sha256', CONFIG.URL_SIGN_SECRET)
+        .update(`${path}?${canonical}`)
+        .digest('base64url')
+        .substring(0, 32);
+}
+
+// 生成本服务链接，签名开启时附带 expires 与 sig
+export function signUrl(path, params) {
+    const query = new URLSearchParams(params);
+    if (CONFIG.URL_SIGN_MODE !== 'off') {
+        const expires = String(Math.floor(Date.now() / 1000) + CONFIG.URL_SIGN_TTL);
+        query.set('expires', expires);
+        query.set('sig', computeSignature(path, { ...params, expires }));
+    }
+    return `${CONFIG.BASE_URL}${path}?${query}`;
+}
+
+// 校验签名：返回 null 表示通过，否则为失败原因 missing / invalid / expired
+export function verifySignature(path, query) {
+    if (!query.sig || !query.expires) return 'missing';
+
+    const expected = Buffer.from(computeSignature(path, query));
+    const actual = Buffer.from(String(query.sig));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return 'invalid';
+
+    if (Number(query.expires) * 1000 < Date.now()) return 'expired';
+    return null;
+}
@@ -0,0 +1,87 @@
+/**
+ * HBMusic - 音源选择
+ *
+ * SOURCE_PRIORITY 决定全局搜索顺序，?source= 可为单次请求指定/重排音源。
+ * 音源名既可以是上游 name，也可以是上游声明的别名（如 qq → lucky）。
+ */
+
+import { UPSTREAMS } from './config.js';
+
+// 解析逗号分隔的音源列表
+export function parseSourceList(value) {
+    if (!value) return [];
+    return String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function matchesSource(upstream, source) {
+    return upstream.name === source || (upstream.aliases || []).includes(source);
+}
+
+// 按音源名或别名查找上游（不论是否参与搜索）
+export function findUpstreamsBySource(source) {
+    return UPSTREAMS.filter(u => matchesSource(u, String(source).trim().toLowerCase()));
+}
+
+// 把列出的音源按顺序移到 UPSTREAMS 前面，未列出的保持原有先后排在后面（不改变启用状态）
+// 返回 { ordered, rest, unknown }，unknown 为未配置的音源名
+export function reorderUpstreams(priority) {
+    const ordered = [];
+    const unknown = [];
+    for (const source of priority) {
+        const matched = UPSTREAMS.filter(u => matchesSource(u, source) && !ordered.includes(u));
+        if (!matched.length) unknown.push(source);
+        ordered.push(...matched);
+    }
+    const rest = UPSTREAMS.filter(u => !ordered.includes(u));
+
+    UPSTREAMS.splice(0, UPSTREAMS.length, ...ordered, ...rest);
+    return { ordered, rest, unknown };
+}
+
+// 按 SOURCE_PRIORITY 重排上游：列出的音源按顺序启用，未列出的退出搜索链
+export function applySourcePriority(priority, log) {
+    if (!priority.length) return;
+
+    const { ordered, rest, unknown } = reorderUpstreams(priority);
+    for (const source of unknown) log.warn({ source }, 'SOURCE_PRIORITY 中的音源未配置，已忽略');
+
+    for (const upstream of ordered) upstream.enabled = true;
+    for (const upstream of rest) upstream.enabled = false;
+
+    log.info({ order: ordered.map(u => u.name) }, '音源优先级已应用');
+}
+
+// 生成本次搜索的上游链，以及被跳过的音源和原因
+export function planUpstreams(requested = []) {
+    const skipped = [];
+
+    if (!requested.length) {
+        const chain = UPSTREAMS.filter(u => u.enabled);
+        return { chain, skipped };
+    }
+
+    const chain = [];
+    for (const source of requested) {
+        const matched = UPSTREAMS.filter(u => matchesSource(u, source));
+        if (!matched.length) {
+            skipped.push({ source, result: 'skipped', reason: '未知音源' });
+            continue;
+        }
+        for (const upstream of matched) {
+            if (chain.includes(upstream)) continue;
+            if (!upstream.enabled) {
+                skipped.push({ source: upstream.name, result: 'skipped', reason: '音源已停用' });
+                continue;
+            }
+            chain.push(upstream);
+        }
+    }
+
+    // 未指定的启用音源也记录下来，方便调用方知道还有哪些可选
+    for (const upstream of UPSTREAMS.filter(u => u.enabled && !chain.includes(u))) {
+        if (skipped.some(s => s.source === upstream.name)) continue;
+        skipped.push({ source: upstream.name, result: 'skipped', reason: '未在 source 参数中指定' });
+    }
+
+    return { chain, skipped };
+}
@@ -0,0 +1,99 @@
+/**
+ * HBMusic - 上游调度策略
+ *
+ * sequential: 按优先级依次尝试，上一个失败才开始下一个
+ * hedged:     第 i 个上游在 i × HEDGE_DELAY 毫秒后启动（或在前一个失败时立即启动），
+ *             仍以优先级最高的成功结果为准，确定结果后中止其余上游；
+ *             高优先级上游启动 HEDGE_TIMEOUT 毫秒后仍未返回时，不再等它，直接采用已成功的低优先级结果
+ */
+
+// run(item, signal) 必须返回 { value, ... } 且不抛异常；value 为真表示成功
+// 返回 { winner, outcomes, cancelled }：outcomes 按优先级记录已等到的结果，
+// cancelled 为被放弃的上游（已完成的附带 outcome，未完成的已被中止或从未启动，等待超时的带 timedOut）
+export async function runByPriority(items, run, { strategy = 'sequential', hedgeDelay = 0, hedgeTimeout = 0 } = {}) {
+    const outcomes = [];
+
+    if (strategy !== 'hedged') {
+        for (const item of items) {
+            const outcome = await run(item, new AbortController().signal);
+            outcomes.push(outcome);
+            if (outcome.value) return { winner: outcome, outcomes, cancelled: [] };
+        }
+        return { winner: null, outcomes, cancelled: [] };
+    }
+
+    // 任一上游完成或等待超时时唤醒调度循环
+    let wake = null;
+    const notify = () => wake?.();
+
+    const tasks = items.map((item, index) => {
+        const task = { item, controller: new AbortController(), promise: null, timer: null, startedAt: 0 };
+        task.start = () => {
+            clearTimeout(task.timer);
+            if (!task.promise) {
+                task.startedAt = Date.now();
+                task.promise = run(item, task.controller.signal);
+                task.promise.then(outcome => {
+                    task.outcome = outcome;
+                    notify();
+                });
+            }
+            return task.promise;
+        };
+        task.timer = setTimeout(task.start, index * hedgeDelay);
+        return task;
+    });
+
+    // 等待第 i 个上游：返回它自己的下标，或等待超时后已成功的低优先级上游中优先级最高者的下标
+    async function settle(i) {
+        const current = tasks[i];
+        // 前面的上游都已失败时立即启动，不必等到预定时间
+        current.start();
+        const deadline = current.startedAt + hedgeTimeout;
+        const timer = hedgeTimeout > 0 ? setTimeout(notify, deadline - Date.now() + 1) : null;
+        try {
+            for (;;) {
+                if (current.outcome) return i;
+                if (hedgeTimeout > 0 && Date.now() >= deadline) {
+                    const fallback = tasks.findIndex((task, j) => j > i && task.outcome?.value);
+                    if (fallback !== -1) return fallback;
+                }
+                await new Promise(resolve => { wake = resolve; });
+            }
+        } finally {
+            clearTimeout(timer);
+            wake = null;
+        }
+    }
+
+    // 确定胜出者；waited 为等待超时而放弃的更高优先级上游，与其后的低优先级上游一并取消
+    function finish(winnerIndex, waited = []) {
+        const winner = tasks[winnerIndex].outcome;
+        outcomes.push(winner);
+        const rest = [...waited, ...tasks.slice(winnerIndex + 1)];
+        for (const task of rest) {
+            clearTimeout(task.timer);
+            if (task.promise && !task.outcome) task.controller.abort();
+        }
+        return {
+            winner,
+            outcomes,
+            cancelled: rest.map(task => ({
+                item: task.item,
+                started: Boolean(task.promise),
+                outcome: task.outcome,
+                timedOut: waited.includes(task) && !task.outcome,
+            })),
+        };
+    }
+
+    for (let i = 0; i < tasks.length; i++) {
+        const settled = await settle(i);
+        if (settled !== i) return finish(settled, tasks.slice(i, settled));
+
+        const outcome = tasks[i].outcome;
+        if (outcome.value) return finish(i);
+        outcomes.push(outcome);
+    }
+    return { winner: null, outcomes, cancelled: [] };
+}